@@ -1,159 +1,3114 @@
-const { Plugin, PluginSettingTab, Setting, ItemView, MarkdownView } = require('obsidian');
+const { Plugin, PluginSettingTab, Setting, ItemView, MarkdownView, MarkdownRenderChild, Modal, SuggestModal, Menu, Notice, Events, TFile, TFolder, FileSystemAdapter, Platform, prepareFuzzySearch, renderMatches, stringifyYaml, debounce, setIcon, parseYaml, loadPrism, editorInfoField, editorLivePreviewField } = require('obsidian');
+const { ViewPlugin, Decoration, EditorView, WidgetType } = require('@codemirror/view');
+const { StateField, StateEffect, MapMode } = require('@codemirror/state');
 
 const DEFAULT_SETTINGS = {
 	enableOutlineBackup: true,
-	triggerCacheUpdate: true
+	triggerCacheUpdate: true,
+	showChunksInOutline: true,
+	// 映射为Markdown的文件扩展名
+	extensions: ['rmd', 'Rmd'],
+	// 章节编号：auto 跟随YAML中的 number_sections，on 始终编号，off 不编号
+	sectionNumbering: 'auto',
+	// 大纲跟随：cursor 跟随光标，scroll 跟随滚动位置，off 不跟随
+	outlineFollowMode: 'cursor',
+	// 笔记改名或移动时更新Rmd文件中的链接
+	updateLinksOnRename: true,
+	// purl 的 documentation 参数：0 只保留代码，1 加代码块标题行，2 保留正文为 #' 注释
+	purlDocumentation: 1,
+	// 导出Markdown时行内表达式的替换值：{ 表达式: 值 }，未列出的表达式显示为占位符
+	exportSubstitutions: {},
+	// 由导出Markdown生成的 .md 文件路径；其他同名文件视为用户笔记，导出时不覆盖
+	exportedMarkdownFiles: [],
+	// 编译（Knit）：rmarkdown 调用 Rscript，quarto 调用 quarto render
+	knitEngine: 'rmarkdown',
+	rscriptPath: 'Rscript',
+	quartoPath: 'quarto',
+	// 按文件路径保存的大纲折叠状态：{ 路径: { 标题锚点: true } }
+	collapseStates: {}
 };
 
+// 代码块头部，例如 ```{r label, echo=FALSE}
+const CHUNK_HEADER_REGEX = /^\{\s*([A-Za-z][\w-]*)\s*,?\s*(.*?)\s*\}$/;
+
+// 按顶层逗号拆分代码块选项，忽略引号和括号内的逗号
+function splitChunkOptions(text) {
+	const parts = [];
+	let depth = 0;
+	let quote = null;
+	let current = '';
+
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		if (quote) {
+			if (ch === '\\' && i + 1 < text.length) {
+				current += ch + text[++i];
+				continue;
+			}
+			if (ch === quote) quote = null;
+		} else if (ch === '"' || ch === "'") {
+			quote = ch;
+		} else if (ch === '(' || ch === '[' || ch === '{') {
+			depth++;
+		} else if (ch === ')' || ch === ']' || ch === '}') {
+			depth = Math.max(0, depth - 1);
+		} else if (ch === ',' && depth === 0) {
+			if (current.trim()) parts.push(current.trim());
+			current = '';
+			continue;
+		}
+		current += ch;
+	}
+
+	if (current.trim()) parts.push(current.trim());
+	return parts;
+}
+
+function unquoteOptionValue(raw) {
+	const match = raw.match(/^(["'])(.*)\1$/s);
+	return match ? match[2] : raw;
+}
+
+// 把R的选项值转换为JS值：TRUE/FALSE、数字、字符串，其余保留为R表达式文本
+function parseChunkOptionValue(raw) {
+	const value = raw.trim();
+	if (value === 'TRUE' || value === 'T') return true;
+	if (value === 'FALSE' || value === 'F') return false;
+	if (/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value)) return Number(value);
+	if (/^(["']).*\1$/s.test(value)) return unquoteOptionValue(value);
+	return value;
+}
+
+// 解析代码块的信息串，返回 { engine, label, options, optionsText }；不是 {engine ...} 形式时返回 null
+function parseChunkHeader(info) {
+	const match = info.trim().match(CHUNK_HEADER_REGEX);
+	if (!match) return null;
+
+	const header = {
+		engine: match[1],
+		label: '',
+		options: {},
+		optionsText: match[2]
+	};
+
+	splitChunkOptions(match[2]).forEach((part, i) => {
+		const option = part.match(/^([\w.]+)\s*=(.*)$/s);
+		if (!option) {
+			// 第一个不带等号的部分是标签
+			if (i === 0) header.label = unquoteOptionValue(part);
+			return;
+		}
+		const key = option[1];
+		if (key === 'label') {
+			header.label = String(parseChunkOptionValue(option[2]));
+		} else {
+			header.options[key] = parseChunkOptionValue(option[2]);
+		}
+	});
+
+	return header;
+}
+
+// ATX标题（1-6级）和Setext标题下划线
+const ATX_HEADING_REGEX = /^(#{1,6})[ \t]+(.+?)\s*$/;
+const SETEXT_UNDERLINE_REGEX = /^ {0,3}(=+|-+)\s*$/;
+// 不能作为Setext标题文字的行：列表、引用、表格、HTML、缩进代码
+const SETEXT_EXCLUDE_REGEX = /^(\s{4,}|\s*([-*+>|<]|\d+[.)])(\s|$)|\s*<)/;
+const HEADING_ATTRIBUTES_REGEX = /\s*\{([^{}]*)\}\s*$/;
+
+// 解析Pandoc标题属性，例如 {#sec-intro .unnumbered key=value} 或 {-}
+function parseHeadingAttributes(text) {
+	const attributes = { id: '', classes: [], attributes: {}, unnumbered: false };
+	const tokens = text.match(/[^\s"=]+="[^"]*"|[^\s"=]+=[^\s]*|\S+/g) || [];
+
+	tokens.forEach(token => {
+		if (token === '-') {
+			attributes.unnumbered = true;
+		} else if (token.startsWith('#')) {
+			attributes.id = token.slice(1);
+		} else if (token.startsWith('.')) {
+			attributes.classes.push(token.slice(1));
+		} else if (token.includes('=')) {
+			const eq = token.indexOf('=');
+			attributes.attributes[token.slice(0, eq)] = unquoteOptionValue(token.slice(eq + 1));
+		}
+	});
+
+	if (attributes.classes.includes('unnumbered')) attributes.unnumbered = true;
+	return attributes;
+}
+
+// 行内表达式：knitr的 `r expr` 和Quarto的 `{python} expr`
+const INLINE_EXPR_REGEX = /(?<!`)`(r|\{[A-Za-z][\w-]*\})[ \t]+([^`]+?)`(?!`)/g;
+const INLINE_EXPR_CODE_REGEX = /^(r|\{[A-Za-z][\w-]*\})[ \t]+(.+)$/s;
+
+// 行内表达式的可读占位符
+function inlineExprPlaceholder(expression) {
+	return `⟨${expression.trim()}⟩`;
+}
+
+// 去掉标题原文结尾的#和属性，属性可以写在结尾#之前或之后
+function stripHeadingSuffix(text) {
+	return text
+		.replace(HEADING_ATTRIBUTES_REGEX, '')
+		.replace(/(^|\s+)#+\s*$/, '')
+		.replace(HEADING_ATTRIBUTES_REGEX, '')
+		.trim();
+}
+
+// 从标题原文中去掉注释、结尾的#和属性，返回显示文字和结构化属性
+// source 是编辑和链接用的原文，保留行内表达式和注释
+function parseHeadingText(raw) {
+	let text = raw.replace(/<!--.*?-->/g, '').trim();
+	let attributes = null;
+	const inlineExpressions = [];
+
+	// 行内表达式编织后才有值，大纲中显示为占位符
+	text = text.replace(INLINE_EXPR_REGEX, (match, engine, expression) => {
+		inlineExpressions.push(expression.trim());
+		return inlineExprPlaceholder(expression);
+	});
+
+	const stripAttributes = () => {
+		const match = text.match(HEADING_ATTRIBUTES_REGEX);
+		if (match && !attributes) {
+			attributes = parseHeadingAttributes(match[1]);
+			text = text.slice(0, match.index);
+		}
+	};
+
+	// 属性可以写在结尾#之前或之后
+	stripAttributes();
+	text = text.replace(/(^|\s+)#+\s*$/, '');
+	stripAttributes();
+
+	return Object.assign({ text: text.trim(), source: stripHeadingSuffix(raw), inlineExpressions: inlineExpressions },
+		attributes || parseHeadingAttributes(''));
+}
+
+// Pandoc自动生成的标题标识符
+function pandocIdentifier(text) {
+	const id = text
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}_\-.\s]/gu, '')
+		.trim()
+		.replace(/\s+/g, '-')
+		.replace(/^[^\p{L}]+/u, '');
+	return id || 'section';
+}
+
+// bookdown的部分和附录标题，例如 # (PART) 第一部分 {-}
+const PART_HEADING_REGEX = /^\(PART\*?\)/;
+const APPENDIX_HEADING_REGEX = /^\(APPENDIX\)/;
+
+// YAML的 output 中是否有格式开启了 number_sections
+function yamlEnablesNumberSections(data) {
+	const search = (value) => {
+		if (!value || typeof value !== 'object') return false;
+		return Object.keys(value).some(key =>
+			(key === 'number_sections' && value[key] === true) || search(value[key]));
+	};
+	// Quarto写法：顶层或 format 下的 number-sections
+	return !!data && (data['number-sections'] === true || search(data.output) ||
+		(!!data.format && typeof data.format === 'object' && Object.keys(data.format).some(format =>
+			!!data.format[format] && data.format[format]['number-sections'] === true)));
+}
+
+// 参数的默认值：支持 name: value 和 name: { value: ..., input: ... } 两种写法
+function getParamDefault(spec) {
+	if (isExtendedParam(spec)) {
+		return spec.value === undefined ? null : spec.value;
+	}
+	return spec;
+}
+
+function formatYamlValue(value) {
+	if (value === null || value === undefined) return 'NULL';
+	if (value instanceof Date) return value.toISOString().slice(0, 10);
+	if (Array.isArray(value)) return value.map(formatYamlValue).join(', ');
+	if (typeof value === 'object') return JSON.stringify(value);
+	return String(value);
+}
+
+// rmarkdown的 !r / !expr 标签不是标准YAML，解析前转成 "!r 表达式" 字符串
+function quoteRExpressionTags(lines) {
+	return lines.map(line => line.replace(/^(\s*(?:-\s+)?[^#:]*:\s+|\s*-\s+)(!(?:r|expr)\s+.*?)\s*$/,
+		(match, prefix, expr) => prefix + JSON.stringify(expr)));
+}
+
+// 扩展写法的参数：{ value, input, choices, label, ... }
+function isExtendedParam(spec) {
+	return !!spec && typeof spec === 'object' && !Array.isArray(spec) && !(spec instanceof Date) &&
+		['value', 'input', 'choices', 'label'].some(key => key in spec);
+}
+
+// 一行YAML "key: value  # 注释" 拆成前缀、值和注释
+const YAML_SCALAR_LINE_REGEX = /^(\s*(?:-\s+)?[^:#]+:[ \t]*)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^#]*?)([ \t]+#.*)?\s*$/;
+
+// 把JS值写成YAML标量；原值带引号时沿用原来的引号
+function formatYamlScalar(value, oldRaw) {
+	if (typeof value === 'boolean') return value ? 'true' : 'false';
+	if (typeof value === 'number') return String(value);
+
+	const text = String(value);
+	if (/^!(r|expr)\s/.test(text)) return text;
+
+	const quote = oldRaw && /^["']/.test(oldRaw) ? oldRaw[0] : null;
+	if (quote === "'") return `'${text.replace(/'/g, "''")}'`;
+
+	const needsQuote = text === '' ||
+		/^[\s\-?:,\[\]{}#&*!|>'"%@`]/.test(text) ||
+		/:\s|\s#|\s$/.test(text) ||
+		/^(true|false|yes|no|on|off|null|~)$/i.test(text) ||
+		/^[-+]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text);
+	return quote === '"' || needsQuote ? JSON.stringify(text) : text;
+}
+
+function replaceYamlScalar(lineText, value) {
+	const match = lineText.match(YAML_SCALAR_LINE_REGEX);
+	// 块标量（| 或 >）不做修改
+	if (!match || /^[|>]/.test(match[2])) return null;
+	return match[1] + formatYamlScalar(value, match[2]) + (match[3] || '');
+}
+
+// 计算把参数新值写回YAML头所需的行修改，只改动对应的值，保留其余格式和注释
+// 返回 [{ line, text, insert }]，line从0开始；insert为true时在该行之后插入新行
+function buildParamEdits(lines, frontMatter, values) {
+	const edits = [];
+
+	frontMatter.params.forEach(param => {
+		if (!(param.name in values)) return;
+		const value = values[param.name];
+		const index = param.line - 1;
+		const lineText = lines[index];
+		const indent = lineText.match(/^\s*/)[0].length;
+
+		if (!isExtendedParam(param.spec)) {
+			const text = replaceYamlScalar(lineText, value);
+			if (text !== null && text !== lineText) edits.push({ line: index, text: text });
+			return;
+		}
+
+		// 行内写法：name: {value: 1, input: numeric}
+		const flow = lineText.match(/^(.*?\{.*?\bvalue\s*:\s*)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,}]*?)(\s*[,}].*)$/);
+		if (flow) {
+			const text = flow[1] + formatYamlScalar(value, flow[2]) + flow[3];
+			if (text !== lineText) edits.push({ line: index, text: text });
+			return;
+		}
+
+		// 块写法：在参数的子级中查找 value: 行
+		let childIndent = null;
+		for (let i = index + 1; i < frontMatter.endLine - 1; i++) {
+			if (!lines[i].trim()) continue;
+			const childMatch = lines[i].match(/^\s*/)[0].length;
+			if (childMatch <= indent) break;
+			if (childIndent === null) childIndent = childMatch;
+			if (childMatch === childIndent && /^\s*value\s*:/.test(lines[i])) {
+				const text = replaceYamlScalar(lines[i], value);
+				if (text !== null && text !== lines[i]) edits.push({ line: i, text: text });
+				return;
+			}
+		}
+
+		// 没有 value: 时在参数名之后插入
+		const padding = ' '.repeat(childIndent === null ? indent + 2 : childIndent);
+		edits.push({ line: index, text: `${padding}value: ${formatYamlScalar(value, null)}`, insert: true });
+	});
+
+	return edits;
+}
+
+// 解析YAML头，返回数据以及字段、输出格式和参数所在的行（行号从1开始）
+function parseFrontMatter(lines, block) {
+	const yamlLines = lines.slice(block.start + 1, block.end);
+	const frontMatter = {
+		data: {},
+		error: null,
+		startLine: block.start + 1,
+		endLine: block.end + 1,
+		fields: {},
+		outputFormats: [],
+		params: []
+	};
+
+	try {
+		const data = parseYaml(quoteRExpressionTags(yamlLines).join('\n'));
+		if (data && typeof data === 'object') frontMatter.data = data;
+	} catch (error) {
+		frontMatter.error = error.message;
+	}
+
+	// 记录顶层字段和 output/params 下一级键的行号
+	const childLines = { output: {}, params: {} };
+	let section = null;
+	let childIndent = null;
+
+	yamlLines.forEach((text, i) => {
+		const line = block.start + 2 + i;
+		if (!text.trim() || /^\s*#/.test(text)) return;
+
+		const indent = text.match(/^\s*/)[0].length;
+		const key = text.match(/^\s*(?:-\s+)?["']?([^\s:#"'][^:#"']*?)["']?\s*:(\s|$)/);
+
+		if (indent === 0) {
+			section = null;
+			childIndent = null;
+			if (!key) return;
+			frontMatter.fields[key[1]] = line;
+			if (key[1] === 'output' || key[1] === 'params') section = key[1];
+			return;
+		}
+
+		if (!section) return;
+		if (childIndent === null) childIndent = indent;
+		if (indent !== childIndent) return;
+
+		const name = key ? key[1] : text.trim().replace(/^-\s*/, '');
+		childLines[section][name] = line;
+	});
+
+	const data = frontMatter.data;
+	const output = data.output;
+	let formats = [];
+	if (typeof output === 'string') formats = [output];
+	else if (Array.isArray(output)) formats = output.map(String);
+	else if (output && typeof output === 'object') formats = Object.keys(output);
+
+	frontMatter.outputFormats = formats.map(name => ({
+		name: name,
+		line: childLines.output[name] || frontMatter.fields.output
+	}));
+
+	if (data.params && typeof data.params === 'object') {
+		frontMatter.params = Object.keys(data.params).map(name => ({
+			name: name,
+			spec: data.params[name],
+			value: getParamDefault(data.params[name]),
+			line: childLines.params[name] || frontMatter.fields.params
+		}));
+	}
+
+	return frontMatter;
+}
+
+// 按bookdown规则给标题编号：跳过 {-}/.unnumbered，(PART) 和 (APPENDIX) 之后重新编号，附录用字母
+function numberSections(headers) {
+	const numbered = headers.filter(h => !h.unnumbered &&
+		!PART_HEADING_REGEX.test(h.text) && !APPENDIX_HEADING_REGEX.test(h.text));
+	const baseLevel = Math.min(...numbered.map(h => h.level));
+	let counters = [];
+	let inAppendix = false;
+
+	headers.forEach(header => {
+		header.number = '';
+
+		if (header.level === 1 && PART_HEADING_REGEX.test(header.text)) {
+			counters = [];
+			return;
+		}
+		if (header.level === 1 && APPENDIX_HEADING_REGEX.test(header.text)) {
+			counters = [];
+			inAppendix = true;
+			return;
+		}
+		if (header.unnumbered) return;
+
+		const depth = header.level - baseLevel;
+		counters[depth] = (counters[depth] || 0) + 1;
+		counters.length = depth + 1;
+
+		const parts = [];
+		for (let i = 0; i <= depth; i++) parts.push(counters[i] || 0);
+		if (inAppendix) parts[0] = String.fromCharCode(64 + parts[0]);
+		header.number = parts.join('.');
+	});
+
+	return headers;
+}
+
+// Quarto/Pandoc的fenced div，例如 ::: {.callout-note} 和 :::
+const DIV_OPEN_REGEX = /^\s*(:{3,})\s*(\{[^}]*\}|[\w-]+)\s*:*\s*$/;
+const DIV_CLOSE_REGEX = /^\s*:{3,}\s*$/;
+// Quarto的代码块选项行，例如 #| label: fit-model
+const HASH_PIPE_REGEX = /^\s*#\|\s?(.*)$/;
+
+// 代码块开头连续的 #| 行（不含围栏行本身）
+function readHashPipeLines(lines, block) {
+	const result = [];
+	for (let i = block.start + 1; i < block.end || (!block.closed && i < lines.length); i++) {
+		const match = lines[i].match(HASH_PIPE_REGEX);
+		if (!match) break;
+		result.push(match[1]);
+	}
+	return result;
+}
+
+// 选项名统一为knitr的点号形式：Quarto的 fig-width 等同于 fig.width
+function normalizeChunkOptionName(name) {
+	return name.trim().replace(/-/g, '.');
+}
+
+// 解析 #| 选项：支持YAML写法（#| echo: false）和R写法（#| echo = FALSE）
+function parseHashPipeOptions(pipeLines) {
+	const result = { options: {}, error: null };
+	if (pipeLines.length === 0) return result;
+
+	const text = pipeLines.join('\n');
+	const isRSyntax = pipeLines.every(line => !line.trim() || /^\s*[\w.-]+\s*=/.test(line) || /^\s/.test(line));
+
+	if (isRSyntax) {
+		splitChunkOptions(pipeLines.join(', ')).forEach(part => {
+			const option = part.match(/^([\w.-]+)\s*=(.*)$/s);
+			if (option) result.options[normalizeChunkOptionName(option[1])] = parseChunkOptionValue(option[2]);
+		});
+		return result;
+	}
+
+	try {
+		const data = parseYaml(quoteRExpressionTags(text.split('\n')).join('\n'));
+		if (data && typeof data === 'object') {
+			Object.keys(data).forEach(key => {
+				result.options[normalizeChunkOptionName(key)] = data[key];
+			});
+		}
+	} catch (error) {
+		result.error = error.message;
+	}
+	return result;
+}
+
+function sameOptionValue(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// 合并代码块头部选项和 #| 选项，与knitr一致由 #| 选项覆盖头部；两处取值不同的选项记为冲突
+function resolveChunkOptions(header, pipeLines) {
+	const headerOptions = {};
+	Object.keys(header.options).forEach(key => {
+		headerOptions[normalizeChunkOptionName(key)] = header.options[key];
+	});
+	if (header.label) headerOptions.label = header.label;
+
+	const pipe = parseHashPipeOptions(pipeLines);
+	const options = Object.assign({}, headerOptions, pipe.options);
+	const conflicts = Object.keys(pipe.options)
+		.filter(key => key in headerOptions && !sameOptionValue(headerOptions[key], pipe.options[key]))
+		.map(key => ({ option: key, header: headerOptions[key], pipe: pipe.options[key] }));
+
+	const label = options.label === undefined || options.label === null ? '' : String(options.label);
+	delete options.label;
+
+	return {
+		engine: header.engine,
+		label: label,
+		options: options,
+		optionsText: header.optionsText,
+		headerOptions: header.options,
+		pipeOptions: pipe.options,
+		pipeLineCount: pipeLines.length,
+		conflicts: conflicts,
+		optionError: pipe.error
+	};
+}
+
+// 围栏代码块起始行：缩进、围栏（至少3个`或~）、信息串
+const FENCE_OPEN_REGEX = /^(\s*)(`{3,}|~{3,})(.*)$/;
+const FENCE_CLOSE_REGEX = /^\s*(`{3,}|~{3,})\s*$/;
+const LIST_ITEM_REGEX = /^\s*([-*+]|\d+[.)])(\s+|$)/;
+
+// 逐行解析的状态：是否处于列表上下文、是否在段落开头、未闭合的fenced div
+function createParseState() {
+	return { inList: false, atParagraphStart: true, divStack: [] };
+}
+
+// 状态相同的两行之后的解析结果只取决于后面的文本，增量解析据此判断能否复用旧结果
+function parseStateKey(state) {
+	return `${state.inList ? 1 : 0}${state.atParagraphStart ? 1 : 0}${state.divStack.map(div => div.callout ? 'c' : 'd').join('')}`;
+}
+
+// 列表中的围栏可以任意缩进，需要记录是否处于列表上下文
+function updateListContext(state, line) {
+	if (LIST_ITEM_REGEX.test(line)) {
+		state.inList = true;
+	} else if (line.trim() !== '' && !/^\s/.test(line)) {
+		state.inList = false;
+	}
+}
+
+// YAML头只能出现在第一行
+function scanYamlAt(lines, start) {
+	if (start !== 0 || lines.length === 0 || !/^---\s*$/.test(lines[0])) return null;
+	for (let i = 1; i < lines.length; i++) {
+		if (/^(---|\.\.\.)\s*$/.test(lines[i])) {
+			return { type: 'yaml', start: 0, end: i, closed: true };
+		}
+	}
+	return null;
+}
+
+// 在指定行查找块级区域：YAML头、围栏代码块、HTML注释或$$公式块
+function scanBlockAt(lines, index, inList) {
+	return scanYamlAt(lines, index) ||
+		scanFenceAt(lines, index, inList) ||
+		scanCommentAt(lines, index) ||
+		scanMathAt(lines, index);
+}
+
+// 未闭合的YAML头、注释或公式起始行；它们是否闭合取决于后面全部的文本
+function isUnclosedOpener(lines, index) {
+	const line = lines[index];
+	const trimmed = line.trim();
+	return (index === 0 && /^---\s*$/.test(line)) ||
+		line.lastIndexOf('<!--') > line.lastIndexOf('-->') ||
+		(trimmed.startsWith('$$') && !(trimmed.length > 2 && trimmed.slice(2).includes('$$')));
+}
+
+// 按Pandoc规则扫描文档中的块级区域：YAML头、围栏代码块、HTML注释和$$公式块
+// 返回按起始行排序的区域列表，行号从0开始，end为区域最后一行（含）
+function scanRmdBlocks(lines) {
+	const blocks = [];
+	const state = createParseState();
+
+	for (let index = 0; index < lines.length; index++) {
+		const block = scanBlockAt(lines, index, state.inList);
+		if (block) {
+			blocks.push(block);
+			index = block.end;
+			continue;
+		}
+		updateListContext(state, lines[index]);
+	}
+
+	return blocks;
+}
+
+function createStructureResult() {
+	return { headers: [], chunks: [], divs: [], frontMatter: null, unclosed: [] };
+}
+
+// 从 start 行开始逐行解析标题、代码块和fenced div，结果追加到 result
+// checkpoints[行号] 记录每个顶层行开始时的状态；shouldStop(行号, 状态) 返回true时提前结束并返回该行号
+function parseStructureLines(lines, start, state, result, checkpoints, shouldStop) {
+	for (let index = start; index < lines.length; index++) {
+		const key = parseStateKey(state);
+		if (shouldStop && shouldStop(index, key)) return index;
+		checkpoints[index] = key;
+
+		const line = lines[index];
+		const block = scanBlockAt(lines, index, state.inList);
+
+		// 跳过代码块、注释、公式和YAML区域
+		if (block && block.start === index) {
+			if (block.type === 'yaml') {
+				result.frontMatter = parseFrontMatter(lines, block);
+			}
+			if (block.type === 'fence' && block.chunk) {
+				result.chunks.push(Object.assign(resolveChunkOptions(block.chunk, readHashPipeLines(lines, block)), {
+					line: index + 1,
+					endLine: block.end + 1,
+					closed: block.closed
+				}));
+			}
+			if (block.type === 'fence' && !block.closed && block.end === block.start) {
+				result.unclosed.push(index);
+			}
+			index = block.end;
+			state.atParagraphStart = true;
+			continue;
+		}
+
+		if (!block && isUnclosedOpener(lines, index)) result.unclosed.push(index);
+		updateListContext(state, line);
+		index += parseContentLine(lines, index, state, result);
+
+		// 行中开始的多行注释：本行已按正文解析，跳过注释其余部分
+		if (block) {
+			index = Math.max(index, block.end);
+			state.atParagraphStart = true;
+		}
+	}
+	return lines.length;
+}
+
+// 解析块级区域之外的一行：fenced div、ATX标题和Setext标题；返回额外占用的行数
+function parseContentLine(lines, index, state, result) {
+	const line = lines[index];
+
+	const addHeader = (level, raw, setext) => {
+		const parsed = parseHeadingText(raw);
+		if (!parsed.text) return;
+		// callout中的标题是callout的标题，不是章节
+		if (state.divStack.some(div => div.callout)) return;
+
+		result.headers.push(Object.assign(parsed, {
+			type: 'heading',
+			level: level,
+			line: index + 1,
+			baseAnchor: parsed.id || pandocIdentifier(parsed.text),
+			setext: setext
+		}));
+	};
+
+	// fenced div的开始和结束
+	const divOpen = line.match(DIV_OPEN_REGEX);
+	if (divOpen) {
+		const attributes = divOpen[2].startsWith('{') ?
+			parseHeadingAttributes(divOpen[2].slice(1, -1)) :
+			parseHeadingAttributes('.' + divOpen[2]);
+		const div = Object.assign(attributes, {
+			line: index + 1,
+			endLine: null,
+			callout: attributes.classes.some(cls => cls.startsWith('callout'))
+		});
+		result.divs.push(div);
+		state.divStack = state.divStack.concat([div]);
+		state.atParagraphStart = true;
+		return 0;
+	}
+	if (DIV_CLOSE_REGEX.test(line) && state.divStack.length > 0) {
+		state.divStack[state.divStack.length - 1].endLine = index + 1;
+		state.divStack = state.divStack.slice(0, -1);
+		state.atParagraphStart = true;
+		return 0;
+	}
+
+	// 检查标题行；有前导空格的行可能在列表或引用中，不作为标题
+	const headerMatch = line.match(ATX_HEADING_REGEX);
+	if (headerMatch) {
+		addHeader(headerMatch[1].length, headerMatch[2], false);
+		state.atParagraphStart = true;
+		return 0;
+	}
+
+	// Setext标题：一行文字，下一行是 === 或 ---
+	const nextLine = lines[index + 1];
+	if (state.atParagraphStart && line.trim() && nextLine !== undefined && !SETEXT_EXCLUDE_REGEX.test(line)) {
+		const underline = nextLine.match(SETEXT_UNDERLINE_REGEX);
+		if (underline) {
+			addHeader(underline[1][0] === '=' ? 1 : 2, line, true);
+			state.atParagraphStart = true;
+			return 1;
+		}
+	}
+
+	state.atParagraphStart = line.trim() === '';
+	return 0;
+}
+
+// 生成最终的锚点（显式ID优先，自动ID按Pandoc规则去重）和代码块序号
+function finalizeStructure(result) {
+	const usedAnchors = {};
+	result.headers.forEach(header => {
+		let anchor = header.baseAnchor;
+		if (!header.id && usedAnchors[anchor]) {
+			let suffix = 1;
+			while (usedAnchors[`${anchor}-${suffix}`]) suffix++;
+			anchor = `${anchor}-${suffix}`;
+		}
+		usedAnchors[anchor] = true;
+		header.anchor = anchor;
+	});
+	result.chunks.forEach((chunk, i) => {
+		chunk.index = i + 1;
+	});
+	return result;
+}
+
+// 按文件缓存解析结果。内容变化时从改动之前最近的检查点开始重新解析，
+// 解析到改动之后且状态与旧结果一致的行时停止，其余结果平移行号后复用
+class RmdStructureCache {
+	constructor() {
+		this.entries = new Map();
+	}
+
+	get(path, content) {
+		const lines = content.split('\n');
+		const old = this.entries.get(path);
+		const entry = old ? this.update(old, lines) : this.parseAll(lines);
+		this.entries.set(path, entry);
+		return entry.result;
+	}
+
+	rename(oldPath, newPath) {
+		const entry = this.entries.get(oldPath);
+		this.entries.delete(oldPath);
+		if (entry && newPath) this.entries.set(newPath, entry);
+	}
+
+	parseAll(lines) {
+		const result = createStructureResult();
+		const checkpoints = [];
+		parseStructureLines(lines, 0, createParseState(), result, checkpoints, null);
+		return { lines, checkpoints, result: finalizeStructure(result) };
+	}
+
+	update(old, lines) {
+		const oldLines = old.lines;
+		const max = Math.min(oldLines.length, lines.length);
+		let prefix = 0;
+		while (prefix < max && oldLines[prefix] === lines[prefix]) prefix++;
+		if (prefix === lines.length && prefix === oldLines.length) return old;
+
+		let suffix = 0;
+		while (suffix < max - prefix &&
+			oldLines[oldLines.length - 1 - suffix] === lines[lines.length - 1 - suffix]) suffix++;
+		const delta = lines.length - oldLines.length;
+		const oldResult = old.result;
+
+		// 改动行的上一行可能是Setext标题文字，从再往前的检查点开始
+		let restart = prefix - 1;
+		while (restart > 0 && old.checkpoints[restart] === undefined) restart--;
+		// 之前有未闭合的块时，它是否闭合可能因这次改动而变化
+		const unclosed = oldResult.unclosed.find(line => line < restart);
+		if (unclosed !== undefined) restart = unclosed;
+		if (restart <= 0) return this.parseAll(lines);
+
+		const isBefore = item => item.line - 1 < restart;
+		const openAt = (line) => oldResult.divs.filter(div =>
+			div.line - 1 < line && (div.endLine === null || div.endLine - 1 >= line));
+
+		// 重新打开在检查点处尚未闭合的div
+		const openDivs = openAt(restart);
+		const reopened = openDivs.map(div => Object.assign({}, div, { endLine: null }));
+		const key = old.checkpoints[restart];
+		const state = {
+			inList: key[0] === '1',
+			atParagraphStart: key[1] === '1',
+			divStack: reopened
+		};
+
+		const result = {
+			headers: oldResult.headers.filter(isBefore),
+			chunks: oldResult.chunks.filter(isBefore),
+			divs: oldResult.divs.filter(isBefore).map(div => {
+				const index = openDivs.indexOf(div);
+				return index === -1 ? div : reopened[index];
+			}),
+			frontMatter: oldResult.frontMatter,
+			unclosed: oldResult.unclosed.filter(line => line < restart)
+		};
+		const checkpoints = old.checkpoints.slice(0, restart);
+		const suffixStart = lines.length - suffix;
+
+		const stop = parseStructureLines(lines, restart, state, result, checkpoints, (index, key) =>
+			index >= suffixStart && old.checkpoints[index - delta] === key);
+
+		if (stop < lines.length) {
+			const oldStop = stop - delta;
+			const isAfter = item => item.line - 1 >= oldStop;
+			const shift = item => {
+				const shifted = Object.assign({}, item, { line: item.line + delta });
+				if (typeof item.endLine === 'number') shifted.endLine = item.endLine + delta;
+				return shifted;
+			};
+
+			// 同步点之前打开、之后闭合的div
+			const oldOpen = openAt(oldStop);
+			state.divStack.forEach((div, i) => {
+				div.endLine = oldOpen[i] && oldOpen[i].endLine !== null ? oldOpen[i].endLine + delta : null;
+			});
+
+			result.headers.push(...oldResult.headers.filter(isAfter).map(shift));
+			result.chunks.push(...oldResult.chunks.filter(isAfter).map(shift));
+			result.divs.push(...oldResult.divs.filter(isAfter).map(shift));
+			result.unclosed.push(...oldResult.unclosed.filter(line => line >= oldStop).map(line => line + delta));
+			for (let i = oldStop; i < old.checkpoints.length; i++) {
+				if (old.checkpoints[i] !== undefined) checkpoints[i + delta] = old.checkpoints[i];
+			}
+		}
+
+		return { lines, checkpoints, result: finalizeStructure(result) };
+	}
+}
+
+function scanFenceAt(lines, start, inList) {
+	const match = lines[start].match(FENCE_OPEN_REGEX);
+	if (!match) return null;
+
+	const indent = match[1].replace(/\t/g, '    ').length;
+	const fence = match[2];
+	const info = match[3].trim();
+
+	// 缩进超过3格且不在列表中时是缩进代码块，不是围栏
+	if (indent > 3 && !inList) return null;
+	// 反引号围栏的信息串不能包含反引号（否则是行内代码）
+	if (fence[0] === '`' && info.includes('`')) return null;
+
+	const chunk = parseChunkHeader(info);
+	const block = {
+		type: 'fence',
+		start: start,
+		end: start,
+		closed: false,
+		fenceChar: fence[0],
+		fenceLength: fence.length,
+		indent: indent,
+		info: info,
+		chunk: chunk
+	};
+
+	for (let i = start + 1; i < lines.length; i++) {
+		const close = lines[i].match(FENCE_CLOSE_REGEX);
+		// 结束围栏：相同字符，长度不小于起始围栏，且没有信息串
+		if (close && close[1][0] === block.fenceChar && close[1].length >= block.fenceLength) {
+			block.end = i;
+			block.closed = true;
+			return block;
+		}
+
+		// 与knitr一致：代码块内出现新的代码块头部时，视为上一个代码块未闭合
+		if (chunk) {
+			const next = lines[i].match(FENCE_OPEN_REGEX);
+			if (next && next[2][0] === '`' && parseChunkHeader(next[3])) {
+				block.end = i - 1;
+				return block;
+			}
+		}
+	}
+
+	// 直到文档结尾都未闭合：只跳过起始行，避免整篇后续内容被吞掉
+	return block;
+}
+
+function scanCommentAt(lines, start) {
+	const line = lines[start];
+	let pos = 0;
+	let openAt = -1;
+
+	// 跳过同一行内已闭合的注释，找到最后一个未闭合的 <!--
+	while (pos < line.length) {
+		const open = line.indexOf('<!--', pos);
+		if (open === -1) break;
+		const close = line.indexOf('-->', open + 4);
+		if (close === -1) {
+			openAt = open;
+			break;
+		}
+		pos = close + 3;
+	}
+	if (openAt === -1) return null;
+
+	for (let i = start + 1; i < lines.length; i++) {
+		if (lines[i].includes('-->')) {
+			return {
+				type: 'comment',
+				// 注释前还有正文时，起始行本身仍按正文解析
+				start: line.slice(0, openAt).trim() ? start + 1 : start,
+				end: i,
+				closed: true
+			};
+		}
+	}
+
+	// 未闭合的注释不跳过任何内容
+	return null;
+}
+
+function scanMathAt(lines, start) {
+	const trimmed = lines[start].trim();
+	if (!trimmed.startsWith('$$')) return null;
+	// 单行公式 $$ x $$
+	if (trimmed.length > 2 && trimmed.slice(2).includes('$$')) return null;
+
+	for (let i = start + 1; i < lines.length; i++) {
+		if (lines[i].includes('$$')) {
+			return { type: 'math', start: start, end: i, closed: true };
+		}
+	}
+
+	return null;
+}
+
+// 根据knitr选项生成徽章，说明代码块编织时的行为
+function getChunkBadges(options) {
+	const badges = [];
+	const add = (type, text, keys) => badges.push({
+		type: type,
+		text: text,
+		title: keys.filter(key => key in options).map(key => `${key} = ${formatYamlValue(options[key])}`).join(', ')
+	});
+
+	if (options.include === false) add('include', '不输出', ['include']);
+	if (options.echo === false) add('echo', '隐藏代码', ['echo']);
+	if (options.eval === false) add('eval', '不运行', ['eval']);
+	if (options.results === 'hide') add('results', '隐藏结果', ['results']);
+	if (options.results === 'asis') add('results', '原样输出', ['results']);
+	if (options.message === false || options.warning === false) {
+		add('message', '隐藏消息', ['message', 'warning']);
+	}
+	if (options.error === true) add('error', '允许出错', ['error']);
+	if (options.cache === true) add('cache', '缓存', ['cache']);
+
+	// knitr默认图片尺寸为 7×5 英寸
+	if ('fig.width' in options || 'fig.height' in options) {
+		const width = 'fig.width' in options ? formatYamlValue(options['fig.width']) : '7';
+		const height = 'fig.height' in options ? formatYamlValue(options['fig.height']) : '5';
+		add('figure', `图 ${width}×${height}`, ['fig.width', 'fig.height']);
+	}
+	return badges;
+}
+
+// 章节范围：从标题行到下一个同级或更高级标题之前（行号从0开始，end不含）
+// 标题不会出现在代码块内，所以章节边界不会把围栏拆开
+function getSectionRange(headers, index, lines) {
+	const header = headers[index];
+	let last = index;
+	while (last + 1 < headers.length && headers[last + 1].level > header.level) last++;
+
+	let end = last + 1 < headers.length ? headers[last + 1].line - 1 : lines.length;
+	// 文末的换行留在原处
+	if (end === lines.length && end > 0 && lines[end - 1] === '' && end - 1 > header.line - 1) end--;
+	return { start: header.line - 1, end: end, lastHeader: last };
+}
+
+// 修改标题级别：Setext标题在1、2级之间切换下划线，更深的级别改写为ATX标题
+function setHeadingLevel(lines, header, level) {
+	const index = header.line - 1;
+	level = Math.max(1, Math.min(6, level));
+
+	if (!header.setext) {
+		lines[index] = lines[index].replace(/^#{1,6}/, '#'.repeat(level));
+	} else if (level <= 2) {
+		lines[index + 1] = lines[index + 1].replace(/[=-]+/, underline =>
+			(level === 1 ? '=' : '-').repeat(underline.length));
+	} else {
+		lines.splice(index, 2, `${'#'.repeat(level)} ${lines[index].trim()}`);
+	}
+}
+
+// 把章节及其子标题整体改变级别，返回修改后的章节行
+function shiftSectionLevels(lines, headers, index, delta) {
+	const range = getSectionRange(headers, index, lines);
+	const section = lines.slice(range.start, range.end);
+	if (delta === 0) return section;
+
+	// 从下往上改，Setext改写为ATX时不影响前面标题的行号
+	for (let i = range.lastHeader; i >= index; i--) {
+		const header = headers[i];
+		setHeadingLevel(section, Object.assign({}, header, { line: header.line - range.start }), header.level + delta);
+	}
+	return section;
+}
+
+// 计算把章节移动到目标标题之前(before)、之后(after)或作为其子章节(inside)的修改
+// 返回 { from, to, lines }：用 lines 替换原文中 [from, to) 行；无需移动时返回null
+function computeSectionMove(lines, headers, fromIndex, targetIndex, position) {
+	const source = getSectionRange(headers, fromIndex, lines);
+	const target = getSectionRange(headers, targetIndex, lines);
+
+	// 不能移动到自身或自己的子章节
+	if (targetIndex >= fromIndex && targetIndex <= source.lastHeader) return null;
+
+	const insertAt = position === 'before' ? target.start : target.end;
+	const level = headers[targetIndex].level + (position === 'inside' ? 1 : 0);
+	const delta = level - headers[fromIndex].level;
+	if (delta === 0 && (insertAt === source.start || insertAt === source.end)) return null;
+
+	const section = shiftSectionLevels(lines, headers, fromIndex, delta);
+	const from = Math.min(source.start, insertAt);
+	const to = Math.max(source.end, insertAt);
+
+	// 标题前需要空行：移动后章节之后还有内容时以空行结尾，否则去掉结尾的空行；
+	// 插入点前一行不是空行时补一个空行
+	const following = insertAt <= source.start ?
+		lines.slice(insertAt, source.start).concat(lines.slice(source.end)) :
+		lines.slice(insertAt);
+	while (section.length > 1 && section[section.length - 1].trim() === '') section.pop();
+	if (following.some(line => line.trim() !== '') && following[0].trim() !== '') section.push('');
+	if (insertAt > 0 && insertAt !== source.end && lines[insertAt - 1].trim() !== '') section.unshift('');
+
+	const before = lines.slice(from, source.start);
+	// 从文末移走章节时，前面章节结尾的空行也不再需要
+	if (!lines.slice(source.end).some(line => line.trim() !== '')) {
+		while (before.length > 0 && before[before.length - 1].trim() === '') before.pop();
+	}
+	const after = lines.slice(source.end, to);
+	return {
+		from: from,
+		to: to,
+		lines: insertAt <= source.start ? section.concat(before) : after.concat(section)
+	};
+}
+
+// 改写标题文字，保留级别和结尾的Pandoc属性
+function renameHeadingLines(lines, header, text) {
+	const index = header.line - 1;
+	const attributes = lines[index].match(/\s*\{[^{}]*\}\s*$/);
+	const suffix = attributes ? attributes[0].trimEnd() : '';
+	lines[index] = header.setext ? text + suffix : `${'#'.repeat(header.level)} ${text}${suffix}`;
+}
+
+// purl 生成的代码块标题行宽度，与knitr默认的 getOption('width') 一致
+const PURL_LINE_WIDTH = 80;
+
+// 代码块的代码行（不含围栏和开头的 #| 选项行）
+function getChunkCode(lines, chunk) {
+	const code = lines.slice(chunk.line, chunk.closed ? chunk.endLine - 1 : chunk.endLine);
+	return code.slice(chunk.pipeLineCount);
+}
+
+// knitr::purl 的代码块标题行：## ----label, options---- ，用 - 补齐到行宽
+function purlChunkLabel(chunk) {
+	const label = chunk.optionsText || chunk.label || `unnamed-chunk-${chunk.index}`;
+	return `## ----${label.padEnd(PURL_LINE_WIDTH - 11, '-')}----`;
+}
+
+// 按 knitr::purl 的规则从Rmd生成R脚本
+// documentation：0 只保留代码，1 为每个代码块加标题行，2 另外将正文保留为 #' 注释
+// 只导出R代码块；purl=FALSE 和 ref.label 代码块跳过，eval=FALSE 的代码注释掉
+function purlRmd(content, structure, documentation) {
+	const lines = content.split('\n');
+	const output = [];
+	let textStart = 0;
+
+	const addText = (end) => {
+		if (documentation >= 2) {
+			lines.slice(textStart, end).forEach(line => output.push(`#' ${line}`.trimEnd()));
+		}
+	};
+
+	structure.chunks.forEach(chunk => {
+		addText(chunk.line - 1);
+		textStart = chunk.endLine;
+
+		const options = chunk.options;
+		if (chunk.engine.toLowerCase() !== 'r' || options.purl === false || options['ref.label'] !== undefined) return;
+
+		let code = getChunkCode(lines, chunk);
+		if (options.eval === false) {
+			code = code.map(line => `# ${line}`);
+		}
+		if (documentation >= 1) output.push(purlChunkLabel(chunk));
+		output.push(...code, '');
+	});
+	addText(lines.length);
+
+	return output.join('\n').replace(/\n+$/, '') + '\n';
+}
+
+// 行内表达式替换为设置中的值，没有对应值时替换为占位符
+function substituteInlineExpression(expression, substitutions) {
+	const key = expression.trim();
+	return Object.prototype.hasOwnProperty.call(substitutions, key) ? substitutions[key] : inlineExprPlaceholder(key);
+}
+
+function substituteInlineExpressions(text, substitutions) {
+	return text.replace(INLINE_EXPR_REGEX, (match, engine, expression) => substituteInlineExpression(expression, substitutions));
+}
+
+// 导出时保留的YAML字段；!r 表达式和行内表达式同样替换
+function exportFrontMatter(frontMatter, substitutions) {
+	const data = {};
+	['title', 'author', 'date'].forEach(key => {
+		let value = frontMatter.data[key];
+		if (value === undefined || value === null) return;
+		if (typeof value === 'string') {
+			const tagged = value.match(/^!(?:r|expr)\s+(.*)$/);
+			value = tagged ? substituteInlineExpression(tagged[1], substitutions) : substituteInlineExpressions(value, substitutions);
+		}
+		data[key] = value;
+	});
+	return Object.keys(data).length > 0 ? ['---', ...stringifyYaml(data).trimEnd().split('\n'), '---'] : [];
+}
+
+// 将Rmd转换为普通Markdown，相当于不运行代码（eval=FALSE）时knitr得到的文档：
+// 代码块头部改为普通的语言围栏，echo=FALSE 和 include=FALSE 的代码块删除，
+// 行内表达式替换为设置中的值或占位符，YAML头只保留 title、author 和 date
+function exportRmdToMarkdown(content, structure, substitutions) {
+	const lines = content.split('\n');
+	const output = [];
+	const blocks = scanRmdBlocks(lines);
+	const chunks = new Map(structure.chunks.map(chunk => [chunk.line - 1, chunk]));
+	let blockIndex = 0;
+
+	for (let i = 0; i < lines.length; i++) {
+		const block = blocks[blockIndex];
+		if (!block || i < block.start) {
+			output.push(substituteInlineExpressions(lines[i], substitutions));
+			continue;
+		}
+		blockIndex++;
+
+		if (block.type === 'yaml') {
+			output.push(...exportFrontMatter(structure.frontMatter, substitutions));
+		} else if (block.type === 'fence' && chunks.has(block.start)) {
+			const chunk = chunks.get(block.start);
+			if (chunk.options.echo !== false && chunk.options.include !== false) {
+				const fence = lines[block.start].match(FENCE_OPEN_REGEX);
+				const closing = fence[1] + fence[2];
+				output.push(closing + chunk.engine.toLowerCase(), ...getChunkCode(lines, chunk), closing);
+			}
+			// 删除代码块后不留下多余的空行
+			else if (output.length > 0 && output[output.length - 1].trim() === '' && (lines[block.end + 1] || '').trim() === '') {
+				output.pop();
+			}
+		} else {
+			output.push(...lines.slice(block.start, block.end + 1));
+		}
+		i = block.end;
+	}
+
+	return output.join('\n');
+}
+
+// 代码块引擎对应的Prism语言；未列出的引擎按同名语言查找
+const CHUNK_ENGINE_LANGUAGES = {
+	r: 'r',
+	rcpp: 'cpp',
+	cpp: 'cpp',
+	c: 'c',
+	python: 'python',
+	sql: 'sql',
+	bash: 'bash',
+	sh: 'bash',
+	zsh: 'bash',
+	stan: 'stan',
+	js: 'javascript',
+	julia: 'julia'
+};
+
+// Prism的token类型对应的编辑器高亮类名
+const PRISM_TOKEN_CLASSES = {
+	keyword: 'cm-keyword',
+	important: 'cm-keyword',
+	boolean: 'cm-atom',
+	constant: 'cm-atom',
+	number: 'cm-number',
+	string: 'cm-string',
+	char: 'cm-string',
+	'template-string': 'cm-string',
+	regex: 'cm-string-2',
+	comment: 'cm-comment',
+	operator: 'cm-operator',
+	function: 'cm-def',
+	builtin: 'cm-builtin',
+	'class-name': 'cm-type',
+	variable: 'cm-variable-2',
+	property: 'cm-property',
+	punctuation: 'cm-bracket'
+};
+
+// 代码块头部各部分：缩进、围栏、{、引擎、标签和选项、}
+const CHUNK_FENCE_LINE_REGEX = /^(\s*`{3,}\s*\{\s*)([A-Za-z][\w-]*)(.*?)(\}\s*)$/;
+
+function getPrismLanguage(prism, engine) {
+	if (!prism) return null;
+	const name = CHUNK_ENGINE_LANGUAGES[engine.toLowerCase()] || engine.toLowerCase();
+	return prism.languages[name] ? name : null;
+}
+
+function tokenLength(token) {
+	if (typeof token === 'string') return token.length;
+	if (Array.isArray(token.content)) return token.content.reduce((sum, t) => sum + tokenLength(t), 0);
+	return tokenLength(String(token.content));
+}
+
+// 把Prism的嵌套token展开为 [{ from, to, cls }]，位置相对于代码开头
+function flattenPrismTokens(tokens, offset, result) {
+	tokens.forEach(token => {
+		const length = tokenLength(token);
+		if (typeof token !== 'string') {
+			const types = [token.type].concat(token.alias || []);
+			const cls = types.map(type => PRISM_TOKEN_CLASSES[type]).find(cls => cls);
+			if (cls) result.push({ from: offset, to: offset + length, cls: cls });
+			if (Array.isArray(token.content)) flattenPrismTokens(token.content, offset, result);
+		}
+		offset += length;
+	});
+	return result;
+}
+
+// 编辑器扩展：在实时预览和源码模式中为 {engine} 代码块提供语法高亮，单独标记头部，并标记行内表达式
+function createChunkHighlighter(plugin) {
+	return ViewPlugin.fromClass(class {
+		constructor(view) {
+			this.blocks = this.scan(view);
+			this.decorations = this.build(view);
+		}
+
+		update(update) {
+			if (update.docChanged) this.blocks = this.scan(update.view);
+			if (update.docChanged || update.viewportChanged) {
+				this.decorations = this.build(update.view);
+			}
+		}
+
+		isRmdEditor(view) {
+			const info = view.state.field(editorInfoField, false);
+			return !!info && !!info.file && plugin.isRmdFile(info.file);
+		}
+
+		scan(view) {
+			if (!this.isRmdEditor(view)) return [];
+			const lines = view.state.doc.toString().split('\n');
+			return scanRmdBlocks(lines);
+		}
+
+		isInBlock(lineIndex) {
+			return this.blocks.some(block => lineIndex >= block.start && lineIndex <= block.end);
+		}
+
+		build(view) {
+			if (!this.isRmdEditor(view)) return Decoration.none;
+			const doc = view.state.doc;
+			const decorations = [];
+
+			this.blocks.forEach(block => {
+				if (block.type !== 'fence' || !block.chunk) return;
+				const first = doc.line(block.start + 1);
+				const last = doc.line(Math.min(block.end + 1, doc.lines));
+				const visible = view.visibleRanges.some(range => range.from <= last.to && range.to >= first.from);
+				if (!visible) return;
+
+				this.decorateHeader(first, decorations);
+
+				// 正文：围栏之间的代码
+				if (block.end <= block.start) return;
+				const bodyStart = doc.line(block.start + 2).from;
+				const bodyEnd = block.closed ? doc.line(block.end + 1).from - 1 : last.to;
+				if (bodyEnd <= bodyStart) return;
+
+				const code = doc.sliceString(bodyStart, bodyEnd);
+				const language = getPrismLanguage(plugin.prism, block.chunk.engine);
+				if (language) {
+					const tokens = plugin.prism.tokenize(code, plugin.prism.languages[language]);
+					flattenPrismTokens(tokens, 0, []).forEach(token => {
+						decorations.push(Decoration.mark({ class: token.cls }).range(bodyStart + token.from, bodyStart + token.to));
+					});
+				}
+			});
+
+			// 正文中的行内表达式，跳过代码块、注释等区域
+			view.visibleRanges.forEach(range => {
+				for (let number = doc.lineAt(range.from).number; number <= doc.lineAt(range.to).number; number++) {
+					if (!this.isInBlock(number - 1)) this.decorateInlineExpressions(doc.line(number), decorations);
+				}
+			});
+
+			return Decoration.set(decorations, true);
+		}
+
+		decorateInlineExpressions(line, decorations) {
+			INLINE_EXPR_REGEX.lastIndex = 0;
+			let match;
+			while ((match = INLINE_EXPR_REGEX.exec(line.text)) !== null) {
+				decorations.push(Decoration.mark({
+					class: 'rmd-inline-expr',
+					attributes: { title: match[2].trim() }
+				}).range(line.from + match.index, line.from + match.index + match[0].length));
+			}
+		}
+
+		decorateHeader(line, decorations) {
+			const match = line.text.match(CHUNK_FENCE_LINE_REGEX);
+			if (!match) return;
+
+			decorations.push(Decoration.line({ class: 'rmd-chunk-header' }).range(line.from));
+			let pos = line.from;
+			const mark = (text, cls) => {
+				if (text.length > 0) decorations.push(Decoration.mark({ class: cls }).range(pos, pos + text.length));
+				pos += text.length;
+			};
+
+			mark(match[1], 'cm-rmd-chunk-fence');
+			mark(match[2], 'cm-rmd-chunk-engine');
+			// 第一个不含等号的部分是标签
+			const rest = match[3];
+			const label = rest.match(/^(\s*,?\s*)([^,=\s]+)(?=\s*(,|$))/);
+			if (label) {
+				mark(label[1], 'cm-rmd-chunk-options');
+				mark(label[2], 'cm-rmd-chunk-label');
+				mark(rest.slice(label[0].length), 'cm-rmd-chunk-options');
+			} else {
+				mark(rest, 'cm-rmd-chunk-options');
+			}
+			mark(match[4], 'cm-rmd-chunk-fence');
+		}
+	}, {
+		decorations: value => value.decorations
+	});
+}
+
+// 编辑器扩展：光标移动或滚动时通知插件，用于大纲跟随
+function createPositionTracker(plugin) {
+	return ViewPlugin.fromClass(class {
+		constructor(view) {
+			this.view = view;
+			this.onScroll = () => plugin.notifyEditorPosition(view, 'scroll');
+			view.scrollDOM.addEventListener('scroll', this.onScroll, { passive: true });
+		}
+
+		update(update) {
+			if (update.selectionSet) plugin.notifyEditorPosition(update.view, 'cursor');
+		}
+
+		destroy() {
+			this.view.scrollDOM.removeEventListener('scroll', this.onScroll);
+		}
+	});
+}
+
+// 通知编辑器重新绘制代码块输出
+const refreshChunkOutputsEffect = StateEffect.define();
+
+// 代码块输出的键：有标签时用标签，否则用序号；序号在上方增删代码块后会改变，
+// 这时输出字段会清除受影响的无标签输出
+function getChunkOutputKey(chunk) {
+	return chunk.label ? `label:${chunk.label}` : `index:${chunk.index}`;
+}
+
+// 代码块下方的输出面板
+class ChunkOutputWidget extends WidgetType {
+	constructor(plugin, path, key, result) {
+		super();
+		this.plugin = plugin;
+		this.path = path;
+		this.key = key;
+		this.result = result;
+	}
+
+	eq(other) {
+		return other.result === this.result;
+	}
+
+	toDOM() {
+		const el = document.createElement('div');
+		el.className = `rmd-chunk-output is-${this.result.status}`;
+
+		const header = el.createEl('div', { cls: 'rmd-chunk-output-header' });
+		const labels = { running: '运行中...', ok: '输出', error: '错误', exited: 'R会话已退出' };
+		header.createEl('span', { text: labels[this.result.status] || '' });
+		const close = header.createEl('span', { cls: 'rmd-chunk-output-close', attr: { 'aria-label': '清除输出' } });
+		setIcon(close, 'x');
+		close.addEventListener('click', () => this.plugin.clearChunkOutput(this.path, this.key));
+
+		if (this.result.text.trim()) {
+			el.createEl('pre', { cls: 'rmd-chunk-output-text', text: this.result.text.replace(/\n+$/, '') });
+		}
+		return el;
+	}
+
+	ignoreEvent() {
+		return true;
+	}
+}
+
+// 编辑器扩展：在运行过的代码块下方显示输出；块级部件只能由StateField提供
+// 字段值为 { decorations, starts }，starts 记录各代码块头部的位置，用于发现序号的变化
+function createChunkOutputField(plugin) {
+	// 从第一个不再对应原代码块的序号起，清除按序号保存的输出
+	const dropShiftedOutputs = (outputs, previous, starts, changes) => {
+		let first = starts.findIndex((start, i) =>
+			i >= previous.length || changes.mapPos(previous[i], 1, MapMode.TrackAfter) !== start);
+		if (first === -1 && starts.length < previous.length) first = starts.length;
+		if (first === -1) return;
+		Array.from(outputs.keys()).forEach(key => {
+			const match = key.match(/^index:(\d+)$/);
+			// 代码块序号从1开始
+			if (match && Number(match[1]) > first) outputs.delete(key);
+		});
+	};
+
+	const build = (state, previous, changes) => {
+		const info = state.field(editorInfoField, false);
+		const file = info && info.file;
+		const outputs = file && plugin.chunkOutputs.get(file.path);
+		if (!outputs || outputs.size === 0) return { decorations: Decoration.none, starts: [] };
+
+		const doc = state.doc;
+		const chunks = plugin.getRmdStructure(file.path, doc.toString()).chunks;
+		const starts = chunks.map(chunk => doc.line(chunk.line).from);
+		if (changes) dropShiftedOutputs(outputs, previous, starts, changes);
+
+		const widgets = [];
+		chunks.forEach(chunk => {
+			const key = getChunkOutputKey(chunk);
+			const result = outputs.get(key);
+			if (!result || chunk.endLine > doc.lines) return;
+			widgets.push(Decoration.widget({
+				widget: new ChunkOutputWidget(plugin, file.path, key, result),
+				block: true,
+				side: 1
+			}).range(doc.line(chunk.endLine).to));
+		});
+		return { decorations: Decoration.set(widgets, true), starts: starts };
+	};
+
+	return StateField.define({
+		create: state => build(state, [], null),
+		update: (value, tr) => {
+			if (tr.docChanged) return build(tr.state, value.starts, tr.changes);
+			return tr.effects.some(effect => effect.is(refreshChunkOutputsEffect)) ? build(tr.state, value.starts, null) : value;
+		},
+		provide: field => EditorView.decorations.from(field, value => value.decorations)
+	});
+}
+
+// knitr生成的图片：<文档名>_files/figure-html/<标签>-N.png 和 figure-latex/<标签>-N.pdf
+const CHUNK_FIGURE_FOLDERS = ['figure-html', 'figure-latex'];
+const CHUNK_FIGURE_PATH_REGEX = /_files\/figure-[^/]+\//;
+
+// knitr将标签中文件名不允许的字符替换为下划线，两种写法都查找
+function getChunkFigures(app, sourcePath, label) {
+	const base = sourcePath.replace(/\.[^/.]+$/, '') + '_files';
+	const names = Array.from(new Set([label, label.replace(/[^\w-]/g, '_')]));
+	const figures = [];
+
+	CHUNK_FIGURE_FOLDERS.forEach((folderName, folderIndex) => {
+		const folder = app.vault.getAbstractFileByPath(`${base}/${folderName}`);
+		if (!(folder instanceof TFolder)) return;
+		folder.children.forEach(file => {
+			if (!(file instanceof TFile)) return;
+			const match = file.name.match(/^(.+)-(\d+)\.(png|jpe?g|gif|svg|pdf)$/i);
+			if (match && names.includes(match[1])) figures.push({ file, folderIndex, number: Number(match[2]) });
+		});
+	});
+
+	return figures.sort((a, b) => a.folderIndex - b.folderIndex || a.number - b.number).map(figure => figure.file);
+}
+
+// 图片缩略图；PDF显示为文件图标。点击在新标签页中打开原图
+function renderFigureThumbnails(app, container, files) {
+	container.empty();
+	files.forEach(file => {
+		const item = container.createEl('div', { cls: 'rmd-chunk-figure', attr: { title: file.path } });
+		if (file.extension.toLowerCase() === 'pdf') {
+			const icon = item.createEl('div', { cls: 'rmd-chunk-figure-pdf' });
+			setIcon(icon, 'file-text');
+			item.createEl('div', { cls: 'rmd-chunk-figure-name', text: file.name });
+		} else {
+			item.createEl('img', { attr: { src: app.vault.getResourcePath(file), alt: file.name, loading: 'lazy' } });
+		}
+		item.addEventListener('click', (e) => {
+			e.preventDefault();
+			e.stopPropagation();
+			app.workspace.getLeaf('tab').openFile(file);
+		});
+	});
+}
+
+// 通知编辑器重新查找代码块的图片
+const refreshChunkFiguresEffect = StateEffect.define();
+
+class ChunkFiguresWidget extends WidgetType {
+	constructor(plugin, files) {
+		super();
+		this.plugin = plugin;
+		this.files = files;
+		// 路径和修改时间相同时不必重绘
+		this.signature = files.map(file => `${file.path}:${file.stat.mtime}`).join('|');
+	}
+
+	eq(other) {
+		return other.signature === this.signature;
+	}
+
+	toDOM() {
+		const el = document.createElement('div');
+		el.className = 'rmd-chunk-figures';
+		renderFigureThumbnails(this.plugin.app, el, this.files);
+		return el;
+	}
+
+	ignoreEvent() {
+		return true;
+	}
+}
+
+// 阅读视图中的缩略图区域；随所在段落加载和卸载，加载期间登记到插件以便文件变化时刷新
+class ChunkFiguresRenderChild extends MarkdownRenderChild {
+	constructor(containerEl, plugin, sourcePath, label) {
+		super(containerEl);
+		this.plugin = plugin;
+		this.sourcePath = sourcePath;
+		this.label = label;
+	}
+
+	onload() {
+		this.plugin.figureStrips.add(this);
+		this.render();
+	}
+
+	onunload() {
+		this.plugin.figureStrips.delete(this);
+	}
+
+	render() {
+		renderFigureThumbnails(this.plugin.app, this.containerEl, getChunkFigures(this.plugin.app, this.sourcePath, this.label));
+	}
+}
+
+// 编辑器扩展：实时预览中在有标签的代码块下方显示knitr生成的图片
+function createChunkFigureField(plugin) {
+	// 字段值为 { decorations, figures }，figures 按标签缓存查到的图片；
+	// 编辑时只为新出现的标签查找图片，刷新或切换模式时全部重新查找
+	const build = (state, cached) => {
+		const info = state.field(editorInfoField, false);
+		const file = info && info.file;
+		if (!file || !plugin.isRmdFile(file) || !state.field(editorLivePreviewField, false)) {
+			return { decorations: Decoration.none, figures: new Map() };
+		}
+
+		const doc = state.doc;
+		const figures = new Map();
+		const widgets = [];
+		plugin.getRmdStructure(file.path, doc.toString()).chunks.forEach(chunk => {
+			if (!chunk.label || chunk.endLine > doc.lines) return;
+			if (!figures.has(chunk.label)) {
+				figures.set(chunk.label, cached && cached.has(chunk.label) ?
+					cached.get(chunk.label) : getChunkFigures(plugin.app, file.path, chunk.label));
+			}
+			const files = figures.get(chunk.label);
+			if (files.length === 0) return;
+			widgets.push(Decoration.widget({
+				widget: new ChunkFiguresWidget(plugin, files),
+				block: true,
+				side: 2
+			}).range(doc.line(chunk.endLine).to));
+		});
+		return { decorations: Decoration.set(widgets, true), figures: figures };
+	};
+
+	return StateField.define({
+		create: state => build(state, null),
+		update: (value, tr) => {
+			const modeChanged = tr.startState.field(editorLivePreviewField, false) !== tr.state.field(editorLivePreviewField, false);
+			if (modeChanged || tr.effects.some(effect => effect.is(refreshChunkFiguresEffect))) return build(tr.state, null);
+			return tr.docChanged ? build(tr.state, value.figures) : value;
+		},
+		provide: field => EditorView.decorations.from(field, value => value.decorations)
+	});
+}
+
+// 链接和标签：[[目标#标题|显示文本]]、![[嵌入]]、[文本](相对路径)、#标签
+const WIKILINK_REGEX = /(!?)\[\[([^\[\]]+?)\]\]/g;
+const MARKDOWN_LINK_REGEX = /(!?)\[([^\[\]]*)\]\((?:<([^<>]+)>|([^()\s]+))(?:\s+"[^"]*")?\)/g;
+const TAG_REGEX = /(^|\s)#([\p{L}\p{N}_\/-]+)/gu;
+const INLINE_CODE_REGEX = /(`+)[^`]*?\1|<!--.*?-->/g;
+const URL_SCHEME_REGEX = /^[a-z][a-z0-9+.-]*:/i;
+
+// 行内代码（含 `r expr`）和单行注释中的内容不是链接或标签，替换为等长空格以保留列位置
+function maskInlineCode(line) {
+	return line.replace(INLINE_CODE_REGEX, match => ' '.repeat(match.length));
+}
+
+// YAML中的 tags/tag 可以是字符串（逗号或空格分隔）或列表
+function frontMatterTags(data) {
+	const tags = [];
+	['tags', 'tag'].forEach(key => {
+		const value = data && data[key];
+		const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/[,\s]+/) : []);
+		list.forEach(tag => {
+			if (typeof tag === 'string' && tag.trim()) tags.push('#' + tag.trim().replace(/^#/, ''));
+		});
+	});
+	return tags;
+}
+
+// 提取一行中的链接和标签，行号从1开始
+function extractLineLinks(line, lineNumber, metadata) {
+	const masked = maskInlineCode(line);
+	let match;
+
+	WIKILINK_REGEX.lastIndex = 0;
+	while ((match = WIKILINK_REGEX.exec(masked)) !== null) {
+		const [target, alias] = match[2].split('|');
+		const link = target.trim();
+		if (!link) continue;
+		(match[1] ? metadata.embeds : metadata.links).push({
+			link: link,
+			original: match[0],
+			displayText: alias !== undefined ? alias : link,
+			line: lineNumber,
+			col: match.index,
+			type: 'wikilink'
+		});
+	}
+
+	MARKDOWN_LINK_REGEX.lastIndex = 0;
+	while ((match = MARKDOWN_LINK_REGEX.exec(masked)) !== null) {
+		const url = match[3] || match[4];
+		if (URL_SCHEME_REGEX.test(url) || url.startsWith('#')) continue;
+		let link = url;
+		try {
+			link = decodeURI(url);
+		} catch (error) {
+			// 非法的百分号编码按原样使用
+		}
+		(match[1] ? metadata.embeds : metadata.links).push({
+			link: link,
+			original: match[0],
+			displayText: match[2],
+			line: lineNumber,
+			col: match.index,
+			type: 'markdown',
+			url: url,
+			angle: !!match[3]
+		});
+	}
+
+	TAG_REGEX.lastIndex = 0;
+	while ((match = TAG_REGEX.exec(masked)) !== null) {
+		// 纯数字不是标签
+		if (/^\d+$/.test(match[2])) continue;
+		metadata.tags.push({ tag: '#' + match[2], line: lineNumber });
+	}
+}
+
+// 从Rmd内容中提取元数据：标题、代码块、链接、嵌入、标签和YAML头
+// 代码块、HTML注释、公式块和YAML头中的内容不参与链接和标签提取
+function extractRmdMetadata(content, structure) {
+	const lines = content.split('\n');
+	const metadata = {
+		headings: structure.headers.map(header => ({
+			heading: header.text,
+			level: header.level,
+			line: header.line,
+			anchor: header.anchor
+		})),
+		chunks: structure.chunks.map(chunk => ({
+			engine: chunk.engine,
+			label: chunk.label,
+			index: chunk.index,
+			line: chunk.line,
+			endLine: chunk.endLine
+		})),
+		links: [],
+		embeds: [],
+		tags: [],
+		frontmatter: structure.frontMatter ? structure.frontMatter.data : null
+	};
+
+	const blocks = scanRmdBlocks(lines);
+	let blockIndex = 0;
+	for (let i = 0; i < lines.length; i++) {
+		const block = blocks[blockIndex];
+		if (block && i >= block.start) {
+			i = block.end;
+			blockIndex++;
+			continue;
+		}
+		extractLineLinks(lines[i], i + 1, metadata);
+	}
+
+	frontMatterTags(metadata.frontmatter).forEach(tag => {
+		metadata.tags.push({ tag: tag, line: structure.frontMatter.startLine });
+	});
+
+	return metadata;
+}
+
+// 将相对于源文件的路径转换为库中的路径
+function resolveRelativePath(sourcePath, target) {
+	const parts = target.startsWith('/') ? [] : sourcePath.split('/').slice(0, -1);
+	target.replace(/^\//, '').split('/').forEach(part => {
+		if (part === '..') {
+			parts.pop();
+		} else if (part && part !== '.') {
+			parts.push(part);
+		}
+	});
+	return parts.join('/');
+}
+
+// 从源文件所在目录到目标文件的相对路径
+function relativeLinkPath(sourcePath, targetPath) {
+	const from = sourcePath.split('/').slice(0, -1);
+	const to = targetPath.split('/');
+	let common = 0;
+	while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+	return from.slice(common).map(() => '..').concat(to.slice(common)).join('/');
+}
+
+// Markdown链接的路径是否相对于源文件（不含目录的文件名按Obsidian规则全库查找）
+function isRelativeLink(link) {
+	const linkpath = link.link.split('#')[0];
+	return linkpath.startsWith('.') || linkpath.includes('/');
+}
+
+// 将链接指向新目标，保留嵌入标记、#标题子路径、别名和链接标题
+function rewriteLinkText(link, target) {
+	if (link.type === 'wikilink') {
+		const embed = link.original.startsWith('!') ? '!' : '';
+		const inner = link.original.slice(embed.length + 2, -2);
+		const pipe = inner.indexOf('|');
+		const linkText = pipe === -1 ? inner : inner.slice(0, pipe);
+		const hash = linkText.indexOf('#');
+		return `${embed}[[${target}${hash === -1 ? '' : linkText.slice(hash)}${pipe === -1 ? '' : inner.slice(pipe)}]]`;
+	}
+
+	const start = link.original.indexOf('](') + 2;
+	const hash = link.url.indexOf('#');
+	const subpath = hash === -1 ? '' : link.url.slice(hash);
+	const url = link.angle ? `<${target}${subpath}>` : `${target.replace(/ /g, '%20')}${subpath}`;
+	const oldLength = link.angle ? link.url.length + 2 : link.url.length;
+	return link.original.slice(0, start) + url + link.original.slice(start + oldLength);
+}
+
+// 按 { line, col, original, text } 替换行中的链接，行号从1开始
+// 原文已变化的链接跳过，返回实际替换的数量
+function applyLinkEdits(lines, edits) {
+	let count = 0;
+	edits.slice().sort((a, b) => b.line - a.line || b.col - a.col).forEach(edit => {
+		const line = lines[edit.line - 1];
+		if (line === undefined || line.substr(edit.col, edit.original.length) !== edit.original) return;
+		lines[edit.line - 1] = line.slice(0, edit.col) + edit.text + line.slice(edit.col + edit.original.length);
+		count++;
+	});
+	return count;
+}
+
+// Rmd文件的元数据索引。文件创建、修改、重命名和删除时更新，
+// 更新后触发 'changed'(file, metadata)、'removed'(path)、'resolved' 和
+// 'renamed'(file, oldPath, links) 事件；links 为改名前各链接的解析结果 [{ sourcePath, link, resolved }]
+class RmdIndex extends Events {
+	constructor(plugin) {
+		super();
+		this.plugin = plugin;
+		this.app = plugin.app;
+		this.files = new Map();
+		// 每个文件解析后的链接：{ resolved: { 目标路径: 次数 }, unresolved: { 链接: 次数 } }
+		this.resolvedLinks = new Map();
+		// 库中文件增删后需要重新解析的Rmd文件，批量变化（同步、导入附件）时合并处理
+		this.pendingResolve = new Set();
+		this.requestResolve = debounce(() => this.resolvePending(), 500, true);
+	}
+
+	// 布局就绪后建立初始索引并开始监听库的变化（启动时库会为每个已有文件触发create）
+	load() {
+		const vault = this.app.vault;
+		this.app.workspace.onLayoutReady(async () => {
+			await this.indexAll();
+			this.plugin.registerEvent(vault.on('create', file => {
+				if (this.plugin.isRmdFile(file)) this.indexFile(file);
+				// 新文件可能让之前无法解析的链接生效
+				this.queueResolve(this.getFilesWithUnresolvedLinksTo(file));
+			}));
+			this.plugin.registerEvent(vault.on('modify', file => {
+				if (this.plugin.isRmdFile(file)) this.indexFile(file);
+			}));
+			this.plugin.registerEvent(vault.on('delete', file => this.removeFile(file.path)));
+			this.plugin.registerEvent(vault.on('rename', (file, oldPath) => this.renameFile(file, oldPath)));
+		});
+	}
+
+	async indexAll() {
+		const files = this.app.vault.getFiles().filter(file => this.plugin.isRmdFile(file));
+		for (const file of files) {
+			await this.indexFile(file, false);
+		}
+		this.resolveAll();
+	}
+
+	// 读取并解析文件；resolve 为false时由调用方统一解析链接
+	// 从不抛出：事件和读取之间文件可能已被删除或改名，此时跳过该文件并返回null
+	async indexFile(file, resolve = true) {
+		let metadata;
+		try {
+			const content = await this.app.vault.cachedRead(file);
+			metadata = extractRmdMetadata(content, this.plugin.parseRmdStructure(content));
+		} catch (error) {
+			console.error(`Rmd索引读取失败: ${file.path}`, error);
+			return null;
+		}
+		this.files.set(file.path, metadata);
+		if (resolve) {
+			this.resolveFile(file.path);
+			this.trigger('resolved');
+		}
+		this.trigger('changed', file, metadata);
+		return metadata;
+	}
+
+	removeFile(path) {
+		if (this.files.delete(path)) {
+			this.resolvedLinks.delete(path);
+			this.syncMetadataCache(path, null);
+			this.trigger('removed', path);
+		}
+		this.queueResolve(this.getFilesLinkingTo(path));
+	}
+
+	renameFile(file, oldPath) {
+		const links = this.collectLinks();
+		this.trigger('renamed', file, oldPath, links);
+
+		const affected = this.getFilesLinkingTo(oldPath).concat(this.getFilesWithUnresolvedLinksTo(file));
+		const metadata = this.files.get(oldPath);
+		this.files.delete(oldPath);
+		this.resolvedLinks.delete(oldPath);
+		this.syncMetadataCache(oldPath, null);
+
+		if (this.plugin.isRmdFile(file)) {
+			if (metadata) {
+				this.files.set(file.path, metadata);
+			} else {
+				// 改扩展名后才成为Rmd文件
+				this.indexFile(file);
+				this.queueResolve(affected);
+				return;
+			}
+		} else if (metadata) {
+			this.trigger('removed', oldPath);
+		}
+		// 改名的Rmd文件自身的相对链接也可能变化
+		if (this.files.has(file.path)) affected.push(file.path);
+		this.resolveFiles(affected);
+		if (metadata && this.files.has(file.path)) this.trigger('changed', file, metadata);
+	}
+
+	collectLinks() {
+		const links = [];
+		this.files.forEach((metadata, sourcePath) => {
+			metadata.links.concat(metadata.embeds).forEach(link => {
+				links.push({ sourcePath, link, resolved: link.resolved });
+			});
+		});
+		return links;
+	}
+
+	getFileMetadata(path) {
+		return this.files.get(path) || null;
+	}
+
+	getIndexedPaths() {
+		return Array.from(this.files.keys());
+	}
+
+	// 链接到 path 的Rmd文件及链接所在行：[{ sourcePath, link }]
+	getBacklinks(path) {
+		const backlinks = [];
+		this.files.forEach((metadata, sourcePath) => {
+			metadata.links.concat(metadata.embeds).forEach(link => {
+				if (link.resolved === path) backlinks.push({ sourcePath, link });
+			});
+		});
+		return backlinks;
+	}
+
+	// 按Obsidian规则解析链接目标，返回库中的路径或null
+	// 相对路径的Markdown链接按源文件所在目录解析；没有扩展名时也查找同名Rmd文件
+	resolveLink(link, sourcePath) {
+		const linkpath = link.link.split('#')[0];
+		if (!linkpath) return sourcePath;
+
+		const metadataCache = this.app.metadataCache;
+		if (link.type === 'markdown' && (linkpath.startsWith('.') || linkpath.includes('/'))) {
+			const file = this.app.vault.getAbstractFileByPath(resolveRelativePath(sourcePath, linkpath));
+			if (file) return file.path;
+		}
+
+		const dest = metadataCache.getFirstLinkpathDest(linkpath, sourcePath);
+		if (dest) return dest.path;
+
+		if (!/\.[^/.]+$/.test(linkpath)) {
+			for (const path of this.files.keys()) {
+				const withoutExtension = path.replace(/\.[^/.]+$/, '');
+				if (withoutExtension === linkpath || withoutExtension.endsWith('/' + linkpath)) return path;
+			}
+		}
+		return null;
+	}
+
+	resolveFile(path) {
+		const metadata = this.files.get(path);
+		if (!metadata) return;
+
+		const resolved = {};
+		const unresolved = {};
+		metadata.links.concat(metadata.embeds).forEach(link => {
+			const dest = this.resolveLink(link, path);
+			link.resolved = dest;
+			if (dest) {
+				resolved[dest] = (resolved[dest] || 0) + 1;
+			} else {
+				const linkpath = link.link.split('#')[0];
+				unresolved[linkpath] = (unresolved[linkpath] || 0) + 1;
+			}
+		});
+		this.resolvedLinks.set(path, { resolved, unresolved });
+		this.syncMetadataCache(path, { resolved, unresolved });
+	}
+
+	resolveAll() {
+		this.resolveFiles(Array.from(this.files.keys()));
+	}
+
+	resolveFiles(paths) {
+		const unique = Array.from(new Set(paths)).filter(path => this.files.has(path));
+		if (unique.length === 0) return;
+		unique.forEach(path => this.resolveFile(path));
+		this.trigger('resolved');
+		if (this.plugin.settings.triggerCacheUpdate) this.app.metadataCache.trigger('resolved');
+	}
+
+	queueResolve(paths) {
+		if (paths.length === 0) return;
+		paths.forEach(path => this.pendingResolve.add(path));
+		this.requestResolve();
+	}
+
+	resolvePending() {
+		const paths = Array.from(this.pendingResolve);
+		this.pendingResolve.clear();
+		this.resolveFiles(paths);
+	}
+
+	// 解析结果指向 path（文件夹时为其中的文件）的Rmd文件
+	getFilesLinkingTo(path) {
+		const paths = [];
+		this.resolvedLinks.forEach((links, sourcePath) => {
+			if (Object.keys(links.resolved).some(dest => dest === path || dest.startsWith(path + '/'))) paths.push(sourcePath);
+		});
+		return paths;
+	}
+
+	// 有未解析链接可能指向 file 的Rmd文件：链接路径的最后一段与文件名相同（可省略扩展名）
+	getFilesWithUnresolvedLinksTo(file) {
+		if (!(file instanceof TFile)) return [];
+		const names = [file.name.toLowerCase(), file.basename.toLowerCase()];
+		const paths = [];
+		this.resolvedLinks.forEach((links, sourcePath) => {
+			const matches = Object.keys(links.unresolved).some(linkpath =>
+				names.includes(linkpath.slice(linkpath.lastIndexOf('/') + 1).toLowerCase()));
+			if (matches) paths.push(sourcePath);
+		});
+		return paths;
+	}
+
+	// 从Obsidian的元数据缓存中移除所有Rmd文件的链接
+	clearMetadataCache() {
+		const metadataCache = this.app.metadataCache;
+		this.files.forEach((metadata, path) => {
+			delete metadataCache.resolvedLinks[path];
+			delete metadataCache.unresolvedLinks[path];
+		});
+		metadataCache.trigger('resolved');
+	}
+
+	// 将解析出的链接写入Obsidian的元数据缓存，使反向链接和关系图谱包含Rmd文件
+	syncMetadataCache(path, links) {
+		if (!this.plugin.settings.triggerCacheUpdate) return;
+		const metadataCache = this.app.metadataCache;
+		if (links) {
+			metadataCache.resolvedLinks[path] = links.resolved;
+			metadataCache.unresolvedLinks[path] = links.unresolved;
+		} else {
+			delete metadataCache.resolvedLinks[path];
+			delete metadataCache.unresolvedLinks[path];
+		}
+		const file = this.app.vault.getAbstractFileByPath(path);
+		if (file) metadataCache.trigger('resolve', file);
+	}
+}
+
+// R 字符串字面量
+function rStringLiteral(text) {
+	return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+// 编译命令：rmarkdown 用 Rscript -e "rmarkdown::render(...)"，quarto 用 quarto render
+function buildKnitCommand(settings, fullPath) {
+	if (settings.knitEngine === 'quarto') {
+		return { command: settings.quartoPath || 'quarto', args: ['render', fullPath] };
+	}
+	return {
+		command: settings.rscriptPath || 'Rscript',
+		args: ['-e', `rmarkdown::render(${rStringLiteral(fullPath)}, encoding = "UTF-8")`]
+	};
+}
+
+// rmarkdown 和 quarto 都会输出 "Output created: 路径"，取最后一个
+const KNIT_OUTPUT_REGEX = /^Output created:\s*(.+?)\s*$/gm;
+
+function findKnitOutput(log) {
+	let output = null;
+	let match;
+	KNIT_OUTPUT_REGEX.lastIndex = 0;
+	while ((match = KNIT_OUTPUT_REGEX.exec(log)) !== null) {
+		output = match[1];
+	}
+	return output;
+}
+
+// 一次编译任务：启动子进程，转发 stdout/stderr，结束时报告结果
+// handlers：onOutput(text, stream)，onExit({ code, signal, cancelled, error, outputPath })
+class KnitJob {
+	constructor(command, args, cwd, handlers) {
+		this.command = command;
+		this.args = args;
+		this.cwd = cwd;
+		this.handlers = handlers;
+		this.log = '';
+		this.cancelled = false;
+		this.finished = false;
+		this.process = null;
+	}
+
+	start() {
+		const { spawn } = require('child_process');
+		const path = require('path');
+
+		this.process = spawn(this.command, this.args, { cwd: this.cwd });
+
+		const forward = stream => data => {
+			const text = data.toString();
+			this.log += text;
+			this.handlers.onOutput(text, stream);
+		};
+		this.process.stdout.on('data', forward('stdout'));
+		this.process.stderr.on('data', forward('stderr'));
+
+		// 找不到可执行文件时只触发 error，不触发 close
+		this.process.on('error', error => {
+			const message = error.code === 'ENOENT' ?
+				`找不到可执行文件 "${this.command}"，请在设置中配置 Rscript 或 quarto 的路径` :
+				error.message;
+			this.finish({ code: null, signal: null, error: message });
+		});
+
+		this.process.on('close', (code, signal) => {
+			const output = findKnitOutput(this.log);
+			this.finish({
+				code: code,
+				signal: signal,
+				error: null,
+				outputPath: output ? path.resolve(this.cwd, output) : null
+			});
+		});
+	}
+
+	finish(result) {
+		if (this.finished) return;
+		this.finished = true;
+		this.handlers.onExit(Object.assign({ cancelled: this.cancelled, outputPath: null }, result));
+	}
+
+	cancel() {
+		if (this.finished || !this.process) return;
+		this.cancelled = true;
+		this.process.kill();
+	}
+}
+
+// 持久R会话的协议：插件向 stdin 写入代码，再写一行 ##RMD-END <id>##；
+// 解释器执行后把输出写到 stdout，最后输出 ##RMD-DONE <id> ok|error##。
+// 任何遵守该协议的程序都可以代替R（例如测试用的假解释器）
+const R_SESSION_SCRIPT = [
+	'local({',
+	'  con <- file("stdin"); open(con)',
+	'  sink(stdout(), type = "message")',
+	'  repeat {',
+	'    lines <- character()',
+	'    repeat {',
+	'      line <- readLines(con, n = 1)',
+	'      if (length(line) == 0) quit(save = "no")',
+	'      if (startsWith(line, "##RMD-END ")) break',
+	'      lines <- c(lines, line)',
+	'    }',
+	'    id <- sub("^##RMD-END (\\\\S+)##$", "\\\\1", line)',
+	'    status <- "ok"',
+	'    tryCatch(withCallingHandlers({',
+	'      for (expr in parse(text = lines)) {',
+	'        result <- withVisible(eval(expr, envir = globalenv()))',
+	'        if (result$visible) print(result$value)',
+	'      }',
+	'    }, warning = function(w) {',
+	'      cat("Warning: ", conditionMessage(w), "\\n", sep = "")',
+	'      invokeRestart("muffleWarning")',
+	'    }), error = function(e) {',
+	'      status <<- "error"',
+	'      cat("Error: ", conditionMessage(e), "\\n", sep = "")',
+	'    })',
+	'    cat("\\n##RMD-DONE ", id, " ", status, "##\\n", sep = "")',
+	'    flush(stdout())',
+	'  }',
+	'})'
+].join('\n');
+
+const R_SESSION_DONE_REGEX = /\n?##RMD-DONE (\S+) (ok|error)##\n/;
+
+// 长期运行的R子进程，按顺序执行代码
+// run(code, onOutput) 返回 Promise<{ output, status }>，status 为 ok、error 或 exited
+class RSession {
+	constructor(command, args, cwd, handlers) {
+		this.command = command;
+		this.args = args;
+		this.cwd = cwd;
+		this.handlers = handlers || {};
+		this.queue = [];
+		this.current = null;
+		this.buffer = '';
+		this.nextId = 1;
+		this.process = null;
+		this.exited = false;
+	}
+
+	start() {
+		const { spawn } = require('child_process');
+		this.process = spawn(this.command, this.args, { cwd: this.cwd });
+		this.process.stdout.on('data', data => this.receive(data.toString()));
+		this.process.stderr.on('data', data => {
+			if (this.current) this.emit(data.toString());
+		});
+
+		this.process.on('error', error => {
+			const message = error.code === 'ENOENT' ?
+				`找不到可执行文件 "${this.command}"，请在设置中配置 Rscript 的路径` :
+				error.message;
+			this.exit(message);
+		});
+		this.process.on('close', code => this.exit(`R会话已退出（退出码 ${code}）`));
+		// 进程退出后写入会触发 EPIPE，由 exit 统一处理
+		this.process.stdin.on('error', () => {});
+	}
+
+	run(code, onOutput) {
+		return new Promise(resolve => {
+			const request = { id: String(this.nextId++), code, onOutput, resolve, output: '' };
+			if (this.exited) {
+				resolve({ output: 'R会话已退出', status: 'exited' });
+				return;
+			}
+			this.queue.push(request);
+			this.next();
+		});
+	}
+
+	next() {
+		if (this.current || this.queue.length === 0) return;
+		this.current = this.queue.shift();
+		this.process.stdin.write(`${this.current.code.replace(/\n?$/, '\n')}##RMD-END ${this.current.id}##\n`);
+	}
+
+	emit(text) {
+		this.current.output += text;
+		if (this.current.onOutput) this.current.onOutput(this.current.output);
+	}
+
+	// 输出按行转发；最后一个换行符留在缓冲区，它可能属于结束标记
+	receive(text) {
+		this.buffer += text;
+		let match;
+		while (this.current && (match = this.buffer.match(R_SESSION_DONE_REGEX))) {
+			if (match.index > 0) this.emit(this.buffer.slice(0, match.index));
+			this.buffer = this.buffer.slice(match.index + match[0].length);
+			const request = this.current;
+			this.current = null;
+			request.resolve({ output: request.output, status: match[2] });
+			this.next();
+		}
+
+		const lastNewline = this.buffer.lastIndexOf('\n');
+		if (this.current && lastNewline > 0) {
+			this.emit(this.buffer.slice(0, lastNewline));
+			this.buffer = this.buffer.slice(lastNewline);
+		}
+	}
+
+	exit(message) {
+		if (this.exited) return;
+		this.exited = true;
+		const pending = (this.current ? [this.current] : []).concat(this.queue);
+		this.current = null;
+		this.queue = [];
+		const partial = this.buffer;
+		pending.forEach((request, i) => {
+			const output = i === 0 ? (request.output + partial).trimEnd() : '';
+			request.resolve({ output: output ? `${output}\n${message}` : message, status: 'exited' });
+		});
+		this.buffer = '';
+		if (this.handlers.onExit) this.handlers.onExit(message);
+	}
+
+	stop() {
+		if (this.process && !this.exited) this.process.kill();
+	}
+}
+
 class RMDMarkdownMapperPlugin extends Plugin {
 	async onload() {
 		await this.loadSettings();
 
-		// 核心功能：将rmd文件映射为markdown视图
-		this.registerExtensions(["rmd", "Rmd"], "markdown");
-
-		// 触发元数据缓存更新
-		if (this.settings.triggerCacheUpdate) {
-			this.registerEvent(
-				this.app.workspace.on('file-open', (file) => {
-					if (file && this.isRmdFile(file)) {
-						// 延迟更长时间，确保视图完全加载
-						setTimeout(() => {
-							// 强制重新解析文件
-							this.app.metadataCache.getFileCache(file);
-							this.app.vault.read(file).then(() => {
-								// 多次触发缓存更新
-								this.app.metadataCache.trigger('changed', file);
-								setTimeout(() => {
-									this.app.metadataCache.trigger('resolve', file);
-								}, 200);
-							});
-						}, 500);
-					}
-				})
-			);
+		this.structureCache = new RmdStructureCache();
+		this.requestSaveSettings = debounce(() => this.saveSettings(), 1000, true);
+
+		// 核心功能：将rmd等文件映射为markdown视图
+		this.registeredExtensions = [];
+		this.registerMappedExtensions();
+
+		// Rmd元数据索引：标题、链接、标签和YAML头，随文件变化更新
+		this.rmdIndex = new RmdIndex(this);
+		this.rmdIndex.load();
+		this.register(() => {
+			if (this.settings.triggerCacheUpdate) this.rmdIndex.clearMetadataCache();
+		});
+
+		// 笔记改名或移动后更新Rmd文件中的链接，短时间内的多次改名（如移动文件夹）合并提示
+		this.linkUpdatedFiles = new Set();
+		this.showLinkUpdateNotice = debounce(() => this.notifyLinkUpdates(), 500, true);
+		this.registerEvent(
+			this.rmdIndex.on('renamed', (file, oldPath, links) => this.updateLinksAfterRename(file, oldPath, links))
+		);
+
+		// 语法高亮：实时预览和源码模式
+		this.prism = null;
+		this.registerEditorExtension(createChunkHighlighter(this));
+		this.registerEditorExtension(createPositionTracker(this));
+
+		// 代码块输出：按文件路径保存 { 输出键: { text, status } }
+		this.chunkOutputs = new Map();
+		this.rSession = null;
+		this.registerEditorExtension(createChunkOutputField(this));
+
+		// knitr生成的图片：阅读视图和实时预览中显示在代码块下方，图片文件变化时刷新
+		this.figureStrips = new Set();
+		this.registerEditorExtension(createChunkFigureField(this));
+		const refreshFigures = debounce(() => this.refreshChunkFigures(), 300, true);
+		const onFigureChange = (file, oldPath) => {
+			if (CHUNK_FIGURE_PATH_REGEX.test(file.path) || (oldPath && CHUNK_FIGURE_PATH_REGEX.test(oldPath))) refreshFigures();
+		};
+		['create', 'modify', 'delete', 'rename'].forEach(name => {
+			this.registerEvent(this.app.vault.on(name, onFigureChange));
+		});
+		this.register(() => {
+			if (this.rSession) this.rSession.stop();
+		});
+		loadPrism().then(prism => {
+			this.prism = prism;
+			// 重新配置编辑器扩展，让已打开的编辑器用上Prism
+			this.app.workspace.updateOptions();
+		}).catch(error => {
+			// 加载失败时不高亮，this.prism 保持为null
+			console.error('Prism加载失败', error);
+		});
+
+		// 阅读视图：处理 {r}、{r setup, include=FALSE} 等代码块
+		this.registerMarkdownPostProcessor((element, context) => {
+			// 普通Markdown笔记中的 {r} 代码块同样需要高亮，但 `r ...` 只是行内代码
+			const isRmd = this.isRmdFile(this.app.vault.getAbstractFileByPath(context.sourcePath));
+			this.processChunkBlocks(element, context, isRmd);
+			if (isRmd) this.processInlineExpressions(element);
+		});
+
+		// 注册自定义大纲视图
+		this.registerView('rmd-outline', (leaf) => new RMDOutlineView(leaf, this));
+		this.registerView('rmd-knit-output', (leaf) => new RMDKnitView(leaf, this));
+
+		// 添加命令打开大纲视图
+		this.addCommand({
+			id: 'open-rmd-outline',
+			name: '打开RMD大纲视图',
+			callback: () => {
+				this.activateOutlineView();
+			}
+		});
+
+		// 在所有Rmd文件的标题和代码块中快速跳转
+		this.addCommand({
+			id: 'rmd-quick-switcher',
+			name: '跳转到Rmd标题或代码块',
+			callback: () => {
+				new RMDSwitcherModal(this.app, this).open();
+			}
+		});
+
+		// 按 knitr::purl 的规则导出同名 .R 脚本
+		this.addCommand({
+			id: 'purl-rmd',
+			name: '导出R脚本 (purl)',
+			checkCallback: (checking) => {
+				const file = this.app.workspace.getActiveFile();
+				if (!file || !this.isRmdFile(file)) return false;
+				if (!checking) this.purlFile(file);
+				return true;
+			}
+		});
+
+		// 桌面端：调用本地的 Rscript 或 quarto 编译当前文档
+		this.knitJob = null;
+		this.register(() => this.cancelKnit());
+		this.addCommand({
+			id: 'knit-rmd',
+			name: '编译文档 (Knit)',
+			checkCallback: (checking) => {
+				const file = this.app.workspace.getActiveFile();
+				if (!Platform.isDesktopApp || !file || !this.isRmdFile(file)) return false;
+				if (!checking) this.knitFile(file);
+				return true;
+			}
+		});
+
+		// 在持久R会话中运行代码块
+		this.addCommand({
+			id: 'run-current-chunk',
+			name: '运行当前代码块',
+			editorCheckCallback: (checking, editor, view) => {
+				if (!Platform.isDesktopApp || !view.file || !this.isRmdFile(view.file)) return false;
+				if (!checking) this.runCurrentChunk(editor, view.file);
+				return true;
+			}
+		});
+
+		this.addCommand({
+			id: 'run-chunks-above',
+			name: '运行上方所有代码块',
+			editorCheckCallback: (checking, editor, view) => {
+				if (!Platform.isDesktopApp || !view.file || !this.isRmdFile(view.file)) return false;
+				if (!checking) this.runChunksAbove(editor, view.file);
+				return true;
+			}
+		});
+
+		this.addCommand({
+			id: 'restart-r-session',
+			name: '重启R会话',
+			checkCallback: (checking) => {
+				if (!Platform.isDesktopApp) return false;
+				if (!checking) this.restartRSession();
+				return true;
+			}
+		});
+
+		this.addCommand({
+			id: 'clear-chunk-outputs',
+			name: '清除代码块输出',
+			checkCallback: (checking) => {
+				const file = this.app.workspace.getActiveFile();
+				if (!file || !this.chunkOutputs.has(file.path)) return false;
+				if (!checking) this.clearChunkOutputs(file.path);
+				return true;
+			}
+		});
+
+		// 导出为普通Markdown：当前文件或当前文件所在的文件夹
+		this.addCommand({
+			id: 'export-rmd-markdown',
+			name: '导出为Markdown',
+			checkCallback: (checking) => {
+				const file = this.app.workspace.getActiveFile();
+				if (!file || !this.isRmdFile(file)) return false;
+				if (!checking) this.exportMarkdown(file);
+				return true;
+			}
+		});
+
+		this.addCommand({
+			id: 'export-rmd-markdown-folder',
+			name: '导出当前文件夹中的所有Rmd为Markdown',
+			checkCallback: (checking) => {
+				const file = this.app.workspace.getActiveFile();
+				if (!file || !file.parent) return false;
+				if (!checking) this.exportMarkdownFolder(file.parent);
+				return true;
+			}
+		});
+
+		this.registerEvent(
+			this.app.workspace.on('file-menu', (menu, file) => {
+				if (!(file instanceof TFolder)) return;
+				menu.addItem(item => item
+					.setTitle('导出Rmd为Markdown')
+					.setIcon('file-output')
+					.onClick(() => this.exportMarkdownFolder(file)));
+			})
+		);
+
+		// 编辑参数化报告的 params
+		this.addCommand({
+			id: 'edit-rmd-params',
+			name: '编辑报告参数 (params)',
+			checkCallback: (checking) => {
+				const file = this.app.workspace.getActiveFile();
+				if (!file || !this.isRmdFile(file)) return false;
+				if (!checking) this.openParamsModal(file);
+				return true;
+			}
+		});
+
+		this.registerEvent(
+			this.app.vault.on('rename', (file, oldPath) => {
+				this.structureCache.rename(oldPath, file.path);
+				this.moveCollapseStates(oldPath, file.path);
+				this.forgetExportedMarkdown(oldPath);
+				if (this.chunkOutputs.has(oldPath)) {
+					this.chunkOutputs.set(file.path, this.chunkOutputs.get(oldPath));
+					this.chunkOutputs.delete(oldPath);
+				}
+			})
+		);
+
+		this.registerEvent(
+			this.app.vault.on('delete', (file) => {
+				this.structureCache.rename(file.path, null);
+				this.moveCollapseStates(file.path, null);
+				this.forgetExportedMarkdown(file.path);
+				this.chunkOutputs.delete(file.path);
+			})
+		);
+
+		this.addSettingTab(new RMDMarkdownMapperSettingTab(this.app, this));
+	}
+
+	onunload() {
+		
+	}
+
+	async activateOutlineView() {
+		const existing = this.app.workspace.getLeavesOfType('rmd-outline');
+		if (existing.length > 0) {
+			this.app.workspace.revealLeaf(existing[0]);
+			return;
+		}
+
+		const leaf = this.app.workspace.getRightLeaf(false);
+		await leaf.setViewState({ type: 'rmd-outline' });
+		this.app.workspace.revealLeaf(leaf);
+	}
+
+	// 按需启动持久R会话，工作目录为当前文档所在目录
+	getRSession(file) {
+		if (this.rSession && !this.rSession.exited) return this.rSession;
+
+		const fullPath = this.app.vault.adapter.getFullPath(file.path);
+		const session = new RSession(this.settings.rscriptPath || 'Rscript', ['-e', R_SESSION_SCRIPT], require('path').dirname(fullPath), {
+			onExit: (message) => {
+				if (this.rSession === session && !session.stopping) new Notice(message);
+			}
+		});
+		this.rSession = session;
+		session.start();
+		return session;
+	}
+
+	restartRSession() {
+		if (this.rSession) {
+			this.rSession.stopping = true;
+			this.rSession.stop();
+			this.rSession = null;
+		}
+		new Notice('R会话已重启，下次运行代码块时启动');
+	}
+
+	// 光标所在的代码块（行号从0开始）
+	getChunkAtLine(structure, line) {
+		return structure.chunks.find(chunk => chunk.line - 1 <= line && line <= chunk.endLine - 1) || null;
+	}
+
+	// 依次运行代码块，输出实时显示在各代码块下方；会话退出后停止
+	async runChunks(file, lines, chunks) {
+		if (!(this.app.vault.adapter instanceof FileSystemAdapter)) {
+			new Notice('运行代码块只能在桌面端使用');
+			return;
+		}
+		const session = this.getRSession(file);
+
+		for (const chunk of chunks) {
+			const key = getChunkOutputKey(chunk);
+			this.setChunkOutput(file.path, key, { text: '', status: 'running' });
+			const result = await session.run(getChunkCode(lines, chunk).join('\n'), (output) => {
+				this.setChunkOutput(file.path, key, { text: output, status: 'running' });
+			});
+			this.setChunkOutput(file.path, key, { text: result.output, status: result.status });
+			if (result.status === 'exited') break;
+		}
+	}
+
+	runCurrentChunk(editor, file) {
+		const lines = editor.getValue().split('\n');
+		const chunk = this.getChunkAtLine(this.parseRmdStructure(editor.getValue()), editor.getCursor().line);
+		if (!chunk || chunk.engine.toLowerCase() !== 'r') {
+			new Notice('光标不在R代码块中');
+			return;
+		}
+		this.runChunks(file, lines, [chunk]);
+	}
+
+	// 运行光标之前的所有R代码块（不含光标所在的代码块），跳过 eval=FALSE
+	runChunksAbove(editor, file) {
+		const content = editor.getValue();
+		const line = editor.getCursor().line;
+		const chunks = this.parseRmdStructure(content).chunks.filter(chunk =>
+			chunk.endLine - 1 < line && chunk.engine.toLowerCase() === 'r' && chunk.options.eval !== false);
+		if (chunks.length === 0) {
+			new Notice('光标上方没有R代码块');
+			return;
+		}
+		this.runChunks(file, content.split('\n'), chunks);
+	}
+
+	setChunkOutput(path, key, result) {
+		if (!this.chunkOutputs.has(path)) this.chunkOutputs.set(path, new Map());
+		this.chunkOutputs.get(path).set(key, result);
+		this.refreshChunkOutputs(path);
+	}
+
+	clearChunkOutput(path, key) {
+		const outputs = this.chunkOutputs.get(path);
+		if (outputs) outputs.delete(key);
+		this.refreshChunkOutputs(path);
+	}
+
+	clearChunkOutputs(path) {
+		this.chunkOutputs.delete(path);
+		this.refreshChunkOutputs(path);
+	}
+
+	// 让显示该文件的编辑器重新绘制输出面板
+	refreshChunkOutputs(path) {
+		this.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+			if (!leaf.view || !leaf.view.file || leaf.view.file.path !== path) return;
+			const cm = leaf.view.editor && leaf.view.editor.cm;
+			if (cm) cm.dispatch({ effects: refreshChunkOutputsEffect.of(null) });
+		});
+	}
+
+	async activateKnitView() {
+		let leaf = this.app.workspace.getLeavesOfType('rmd-knit-output')[0];
+		if (!leaf) {
+			leaf = this.app.workspace.getRightLeaf(false);
+			await leaf.setViewState({ type: 'rmd-knit-output' });
+		}
+		this.app.workspace.revealLeaf(leaf);
+		// 新版本中未显示过的标签页是延迟加载的
+		if (leaf.loadIfDeferred) await leaf.loadIfDeferred();
+		return leaf.view;
+	}
+
+	async knitFile(file) {
+		if (this.knitJob) {
+			new Notice('已有正在运行的编译任务');
+			return;
+		}
+		const adapter = this.app.vault.adapter;
+		if (!(adapter instanceof FileSystemAdapter)) {
+			new Notice('编译只能在桌面端使用');
+			return;
+		}
+
+		// 先保存编辑器中的修改
+		const leaf = this.app.workspace.getLeavesOfType('markdown')
+			.find(leaf => leaf.view && leaf.view.file && leaf.view.file.path === file.path);
+		if (leaf && leaf.view instanceof MarkdownView) await leaf.view.save();
+
+		const fullPath = adapter.getFullPath(file.path);
+		const { command, args } = buildKnitCommand(this.settings, fullPath);
+		const view = await this.activateKnitView();
+		view.startJob(file, command, args);
+
+		this.knitJob = new KnitJob(command, args, require('path').dirname(fullPath), {
+			onOutput: (text, stream) => view.append(text, stream),
+			onExit: (result) => {
+				this.knitJob = null;
+				view.finishJob(result);
+				if (result.error) new Notice(result.error);
+			}
+		});
+		this.knitJob.start();
+	}
+
+	cancelKnit() {
+		if (this.knitJob) this.knitJob.cancel();
+	}
 
-			this.registerEvent(
-				this.app.vault.on('modify', (file) => {
-					if (this.isRmdFile(file)) {
-						// 文件修改时强制刷新缓存
-						setTimeout(() => {
-							this.app.metadataCache.trigger('changed', file);
-							this.app.metadataCache.trigger('resolve', file);
-						}, 100);
-					}
-				})
-			);
+	// 库中的PDF和Markdown在Obsidian中打开，其他文件（如HTML）用系统默认程序打开
+	async openKnitOutput(fullPath) {
+		const basePath = this.app.vault.adapter.getBasePath();
+		const relative = require('path').relative(basePath, fullPath).split(require('path').sep).join('/');
+		const file = this.app.vault.getAbstractFileByPath(relative);
+		if (file instanceof TFile && ['pdf', 'md'].includes(file.extension)) {
+			await this.app.workspace.getLeaf(true).openFile(file);
+			return;
+		}
+		const error = await require('electron').shell.openPath(fullPath);
+		if (error) new Notice('打开输出文件失败: ' + error);
+	}
 
-			// 插件加载后扫描所有RMD文件
-			this.app.workspace.onLayoutReady(() => {
-				setTimeout(() => {
-					this.app.vault.getAllLoadedFiles().forEach(file => {
-						if (file.extension && this.isRmdFile(file)) {
-							this.app.metadataCache.trigger('changed', file);
-						}
-					});
-				}, 1000);
-			});
+	async loadSettings() {
+		this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+		this.settings.collapseStates = Object.assign({}, this.settings.collapseStates);
+		this.settings.exportedMarkdownFiles = this.settings.exportedMarkdownFiles.slice();
+	}
+
+	async saveSettings() {
+		await this.saveData(this.settings);
+	}
+
+	// 文件的折叠状态对象，可直接修改，修改后调用 saveCollapseStates
+	getCollapseStates(path) {
+		if (!this.settings.collapseStates[path]) {
+			this.settings.collapseStates[path] = {};
 		}
+		return this.settings.collapseStates[path];
+	}
 
-		// 语法高亮优化：处理{r}代码块
-		this.registerMarkdownPostProcessor((element, context) => {
-			const codeBlocks = element.querySelectorAll('pre code[class*="language-{r}"]');
-			codeBlocks.forEach(block => {
-				block.className = block.className.replace('language-{r}', 'language-r');
-			});
+	saveCollapseStates() {
+		// 删除空的记录，避免数据文件不断增长
+		Object.keys(this.settings.collapseStates).forEach(path => {
+			if (Object.keys(this.settings.collapseStates[path]).length === 0) {
+				delete this.settings.collapseStates[path];
+			}
 		});
+		this.requestSaveSettings();
+	}
 
-		// 注册自定义大纲视图
-		this.registerView('rmd-outline', (leaf) => new RMDOutlineView(leaf, this));
+	// 文件或文件夹重命名时迁移折叠状态；newPath 为null表示已删除
+	moveCollapseStates(oldPath, newPath) {
+		const states = this.settings.collapseStates;
+		let changed = false;
 
-		// 添加命令打开大纲视图
-		this.addCommand({
-			id: 'open-rmd-outline',
-			name: '打开RMD大纲视图',
-			callback: () => {
-				this.activateOutlineView();
+		Object.keys(states).forEach(path => {
+			if (path !== oldPath && !path.startsWith(oldPath + '/')) return;
+			if (newPath) states[newPath + path.slice(oldPath.length)] = states[path];
+			delete states[path];
+			changed = true;
+		});
+
+		if (changed) this.requestSaveSettings();
+	}
+
+	// 文件YAML头的数据，来自Rmd索引（文件修改时更新）；未索引或没有YAML头时为null
+	getFrontMatter(path) {
+		const metadata = this.rmdIndex.getFileMetadata(path);
+		return metadata ? metadata.frontmatter : null;
+	}
+
+	// 修正代码块的语言类名并高亮（所有笔记），在Rmd文件的代码块上方显示引擎、标签和选项徽章
+	processChunkBlocks(element, context, isRmd) {
+		const codeBlocks = element.querySelectorAll('pre code[class*="language-{"]');
+		codeBlocks.forEach(block => {
+			const match = block.className.match(/language-\{([A-Za-z][\w-]*)\S*/);
+			if (!match) return;
+			const language = getPrismLanguage(this.prism, match[1]) || match[1].toLowerCase();
+			block.className = block.className.replace(match[0], `language-${language}`);
+			if (this.prism && this.prism.languages[language]) {
+				this.prism.highlightElement(block);
+			}
+			if (!isRmd) return;
+
+			const chunk = this.getChunkForSection(element, context) ||
+				resolveChunkOptions({ engine: match[1], label: '', options: {}, optionsText: '' }, []);
+			const pre = block.parentElement;
+			if (pre.previousElementSibling && pre.previousElementSibling.hasClass('rmd-chunk-bar')) return;
+			pre.parentElement.insertBefore(this.createChunkBar(chunk), pre);
+
+			if (chunk.label) {
+				const strip = createDiv({ cls: 'rmd-chunk-figures' });
+				pre.parentElement.insertBefore(strip, pre.nextSibling);
+				context.addChild(new ChunkFiguresRenderChild(strip, this, context.sourcePath, chunk.label));
 			}
 		});
+	}
 
-		this.addSettingTab(new RMDMarkdownMapperSettingTab(this.app, this));
+	// 图片文件变化后刷新阅读视图中的缩略图和编辑器中的部件
+	refreshChunkFigures() {
+		this.figureStrips.forEach(strip => strip.render());
+
+		this.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+			if (!leaf.view || !leaf.view.file || !this.isRmdFile(leaf.view.file)) return;
+			const cm = leaf.view.editor && leaf.view.editor.cm;
+			if (cm) cm.dispatch({ effects: refreshChunkFiguresEffect.of(null) });
+		});
 	}
 
-	onunload() {
-		
+	// 行内表达式 `r expr` 显示为带引擎标记的表达式，悬停显示完整表达式
+	processInlineExpressions(element) {
+		element.querySelectorAll('code').forEach(code => {
+			if (code.closest('pre') || code.hasClass('rmd-inline-expr')) return;
+			const match = code.textContent.match(INLINE_EXPR_CODE_REGEX);
+			if (!match) return;
+
+			const engine = match[1].replace(/[{}]/g, '');
+			code.addClass('rmd-inline-expr');
+			code.setAttr('data-engine', engine);
+			code.setAttr('title', `${engine}: ${match[2].trim()}`);
+			code.textContent = match[2].trim();
+		});
 	}
 
-	async activateOutlineView() {
-		const existing = this.app.workspace.getLeavesOfType('rmd-outline');
-		if (existing.length > 0) {
-			this.app.workspace.revealLeaf(existing[0]);
-			return;
+	// 根据阅读视图中代码块的源码位置解析完整的代码块头部和 #| 选项
+	getChunkForSection(element, context) {
+		const info = context.getSectionInfo(element);
+		if (!info) return null;
+
+		const lines = info.text.split('\n');
+		const fence = lines[info.lineStart].match(FENCE_OPEN_REGEX);
+		const header = fence ? parseChunkHeader(fence[3]) : null;
+		if (!header) return null;
+
+		const block = { start: info.lineStart, end: info.lineEnd, closed: true };
+		return resolveChunkOptions(header, readHashPipeLines(lines, block));
+	}
+
+	createChunkBar(chunk) {
+		const bar = createDiv({ cls: 'rmd-chunk-bar' });
+		bar.createSpan({ cls: 'rmd-chunk-bar-engine', text: chunk.engine });
+		if (chunk.label) {
+			bar.createSpan({ cls: 'rmd-chunk-bar-label', text: chunk.label });
 		}
 
-		const leaf = this.app.workspace.getRightLeaf(false);
-		await leaf.setViewState({ type: 'rmd-outline' });
-		this.app.workspace.revealLeaf(leaf);
+		getChunkBadges(chunk.options).forEach(badge => {
+			bar.createSpan({
+				cls: `rmd-chunk-badge rmd-chunk-badge-${badge.type}`,
+				text: badge.text,
+				attr: { title: badge.title }
+			});
+		});
+		return bar;
 	}
 
-	async loadSettings() {
-		this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+	// 编辑器光标或滚动位置变化时，让显示该文件的大纲跟随到对应章节
+	notifyEditorPosition(view, reason) {
+		if (this.settings.outlineFollowMode !== reason) return;
+
+		clearTimeout(this.followTimeout);
+		this.followTimeout = setTimeout(() => {
+			const info = view.state.field(editorInfoField, false);
+			if (!info || !info.file || !this.isRmdFile(info.file)) return;
+
+			let line;
+			if (reason === 'cursor') {
+				line = view.state.doc.lineAt(view.state.selection.main.head).number;
+			} else {
+				// 视口顶部的第一行
+				const top = view.scrollDOM.getBoundingClientRect().top;
+				line = view.state.doc.lineAt(view.lineBlockAtHeight(top - view.documentTop).from).number;
+			}
+
+			this.app.workspace.getLeavesOfType('rmd-outline').forEach(leaf => {
+				leaf.view.followLine(info.file.path, line);
+			});
+		}, 100);
 	}
 
-	async saveSettings() {
-		await this.saveData(this.settings);
+	// 用新的行替换编辑器中 [from, to) 行，作为一次可撤销的修改
+	replaceEditorLines(editor, from, to, newLines) {
+		const lineCount = editor.lineCount();
+		let text = newLines.join('\n');
+		let end;
+
+		if (to < lineCount) {
+			end = { line: to, ch: 0 };
+			if (newLines.length > 0) text += '\n';
+		} else {
+			end = { line: lineCount - 1, ch: editor.getLine(lineCount - 1).length };
+		}
+		editor.transaction({ changes: [{ from: { line: from, ch: 0 }, to: end, text: text }] });
 	}
 
-	isRmdFile(file) {
-		if (!file) return false;
-		const ext = file.extension?.toLowerCase();
-		return ext === 'rmd';
+	// 写入库中的文件，已存在时覆盖
+	async writeVaultFile(path, content) {
+		const existing = this.app.vault.getAbstractFileByPath(path);
+		if (existing instanceof TFile) {
+			await this.app.vault.modify(existing, content);
+		} else {
+			await this.app.vault.create(path, content);
+		}
 	}
 
-	// 解析标题，忽略代码块中的内容
-	parseHeadersIgnoreCodeBlocks(content) {
-		const lines = content.split('\n');
-		const headers = [];
-		let inCodeBlock = false;
-		let inInlineCode = false;
-
-		lines.forEach((line, index) => {
-			// 检查是否进入/退出代码块
-			if (line.trim().startsWith('```')) {
-				inCodeBlock = !inCodeBlock;
-				return;
+	// 生成与Rmd文件同名的 .R 脚本，已存在时覆盖
+	async purlFile(file) {
+		const content = await this.readRmdContent(file);
+		const script = purlRmd(content, this.parseRmdStructure(content), this.settings.purlDocumentation);
+		const path = file.path.replace(/\.[^/.]+$/, '') + '.R';
+
+		try {
+			await this.writeVaultFile(path, script);
+			new Notice(`已导出R脚本: ${path}`);
+		} catch (error) {
+			new Notice('导出R脚本失败: ' + error.message);
+		}
+	}
+
+	// 导出与Rmd文件同名的 .md 文件，返回 { path, skipped }
+	// 同名文件不是之前导出生成的（通常是用户笔记）时不覆盖，skipped 为true
+	async exportMarkdownFile(file) {
+		const path = file.path.replace(/\.[^/.]+$/, '') + '.md';
+		const exported = this.settings.exportedMarkdownFiles;
+		if (this.app.vault.getAbstractFileByPath(path) && !exported.includes(path)) {
+			return { path, skipped: true };
+		}
+
+		const content = await this.readRmdContent(file);
+		const markdown = exportRmdToMarkdown(content, this.parseRmdStructure(content), this.settings.exportSubstitutions);
+		await this.writeVaultFile(path, markdown);
+		if (!exported.includes(path)) {
+			exported.push(path);
+			this.requestSaveSettings();
+		}
+		return { path, skipped: false };
+	}
+
+	// 导出的 .md 文件被删除或改名后不再视为导出文件
+	forgetExportedMarkdown(path) {
+		const exported = this.settings.exportedMarkdownFiles;
+		const index = exported.indexOf(path);
+		if (index === -1) return;
+		exported.splice(index, 1);
+		this.requestSaveSettings();
+	}
+
+	async exportMarkdown(file) {
+		try {
+			const result = await this.exportMarkdownFile(file);
+			if (result.skipped) {
+				new Notice(`已存在同名笔记，未覆盖: ${result.path}`, 8000);
+			} else {
+				new Notice(`已导出Markdown: ${result.path}`);
 			}
+		} catch (error) {
+			new Notice('导出Markdown失败: ' + error.message);
+		}
+	}
 
-			// 在代码块内，跳过
-			if (inCodeBlock) {
-				return;
+	// 导出文件夹（含子文件夹）中的所有Rmd文件
+	async exportMarkdownFolder(folder) {
+		const prefix = folder.isRoot() ? '' : folder.path + '/';
+		const files = this.app.vault.getFiles().filter(file => this.isRmdFile(file) && file.path.startsWith(prefix));
+		if (files.length === 0) {
+			new Notice('文件夹中没有Rmd文件');
+			return;
+		}
+
+		const failed = [];
+		const skipped = [];
+		for (const file of files) {
+			try {
+				const result = await this.exportMarkdownFile(file);
+				if (result.skipped) skipped.push(result.path);
+			} catch (error) {
+				failed.push(`${file.path}: ${error.message}`);
+			}
+		}
+
+		const exportedCount = files.length - failed.length - skipped.length;
+		if (failed.length === 0 && skipped.length === 0) {
+			new Notice(`已导出 ${exportedCount} 个Rmd文件为Markdown`);
+			return;
+		}
+		let message = `已导出 ${exportedCount} 个文件`;
+		if (skipped.length > 0) message += `\n${skipped.length} 个已存在同名笔记，未覆盖：\n${skipped.join('\n')}`;
+		if (failed.length > 0) message += `\n${failed.length} 个失败：\n${failed.join('\n')}`;
+		new Notice(message, 8000);
+	}
+
+	// 更新指向改名文件的链接；links 为改名前的解析结果
+	// Rmd文件本身移动到其他目录时，同时更新其中的相对链接
+	async updateLinksAfterRename(file, oldPath, links) {
+		if (!this.settings.updateLinksOnRename || !(file instanceof TFile)) return;
+
+		const folderOf = path => path.split('/').slice(0, -1).join('/');
+		const moved = folderOf(oldPath) !== folderOf(file.path);
+		const editsByPath = new Map();
+
+		links.forEach(({ sourcePath, link, resolved }) => {
+			// 当前文件内的 [[#标题]] 不需要更新
+			if (!resolved || !link.link.split('#')[0]) return;
+			const newSourcePath = sourcePath === oldPath ? file.path : sourcePath;
+
+			let target = null;
+			if (resolved === oldPath) {
+				target = link.type === 'wikilink' ?
+					this.app.metadataCache.fileToLinktext(file, newSourcePath, true) :
+					relativeLinkPath(newSourcePath, file.path);
+			} else if (sourcePath === oldPath && moved && link.type === 'markdown' && isRelativeLink(link)) {
+				target = relativeLinkPath(newSourcePath, resolved);
+			}
+			if (target === null) return;
+
+			const text = rewriteLinkText(link, target);
+			if (text === link.original) return;
+			if (!editsByPath.has(newSourcePath)) editsByPath.set(newSourcePath, []);
+			editsByPath.get(newSourcePath).push({ line: link.line, col: link.col, original: link.original, text: text });
+		});
+
+		for (const [path, edits] of editsByPath) {
+			const target = this.app.vault.getAbstractFileByPath(path);
+			if (!(target instanceof TFile)) continue;
+			if (await this.applyLinkEditsToFile(target, edits) > 0) {
+				this.linkUpdatedFiles.add(target.path);
 			}
+		}
+		if (this.linkUpdatedFiles.size > 0) this.showLinkUpdateNotice();
+	}
+
+	// 文件在编辑器中打开时通过编辑器修改（可撤销），否则直接修改文件
+	async applyLinkEditsToFile(file, edits) {
+		const editor = this.getEditorForFile(file);
+		if (editor) {
+			const changes = edits
+				.filter(edit => edit.line <= editor.lineCount() &&
+					editor.getLine(edit.line - 1).substr(edit.col, edit.original.length) === edit.original)
+				.map(edit => ({
+					from: { line: edit.line - 1, ch: edit.col },
+					to: { line: edit.line - 1, ch: edit.col + edit.original.length },
+					text: edit.text
+				}));
+			if (changes.length > 0) editor.transaction({ changes });
+			return changes.length;
+		}
+
+		let count = 0;
+		await this.app.vault.process(file, (content) => {
+			const lines = content.split('\n');
+			count = applyLinkEdits(lines, edits);
+			return lines.join('\n');
+		});
+		return count;
+	}
+
+	notifyLinkUpdates() {
+		const paths = Array.from(this.linkUpdatedFiles);
+		this.linkUpdatedFiles.clear();
+		if (paths.length === 0) return;
+
+		const shown = paths.slice(0, 10);
+		const more = paths.length > shown.length ? `\n…等 ${paths.length} 个文件` : '';
+		new Notice(`已更新 ${paths.length} 个Rmd文件中的链接：\n${shown.join('\n')}${more}`, 8000);
+	}
+
+	// 查找正在编辑该文件的编辑器，找不到时返回null
+	getEditorForFile(file) {
+		const leaf = this.app.workspace.getLeavesOfType('markdown')
+			.find(leaf => leaf.view && leaf.view.file && leaf.view.file.path === file.path);
+		return leaf ? leaf.view.editor : null;
+	}
+
+	async openParamsModal(file) {
+		// 与 saveParamValues 一致，编辑器中未保存的修改也要显示
+		const content = await this.readRmdContent(file);
+		const frontMatter = this.parseRmdStructure(content).frontMatter;
+
+		// 解析失败时 params 为空，需先检查错误
+		if (frontMatter && frontMatter.error) {
+			new Notice('YAML头解析失败: ' + frontMatter.error);
+			return;
+		}
+		if (!frontMatter || frontMatter.params.length === 0) {
+			new Notice('YAML头中没有 params');
+			return;
+		}
+
+		new RMDParamsModal(this.app, frontMatter.params, (values) => this.saveParamValues(file, values)).open();
+	}
+
+	// 把参数写回YAML头；文件在编辑器中打开时通过编辑器修改，以便撤销
+	async saveParamValues(file, values) {
+		const apply = (content) => {
+			const lines = content.split('\n');
+			const frontMatter = this.parseRmdStructure(content).frontMatter;
+			return frontMatter ? buildParamEdits(lines, frontMatter, values) : [];
+		};
+
+		const editor = this.getEditorForFile(file);
+		let edits;
 
-			// 检查标题行（不在代码块内）
-			const headerMatch = line.match(/^(\s*)(#+)\s+(.+)$/);
-			if (headerMatch) {
-				// 忽略有前导空格的标题（可能在列表或引用中）
-				if (headerMatch[1].length === 0) {
-					// 确保不是行内代码中的#
-					const beforeHash = line.substring(0, line.indexOf('#'));
-					const backtickCount = (beforeHash.match(/`/g) || []).length;
-					
-					// 如果#号前有奇数个反引号，说明在行内代码中
-					if (backtickCount % 2 === 0) {
-						headers.push({
-							level: headerMatch[2].length,
-							text: headerMatch[3].trim(),
-							line: index + 1
-						});
+		if (editor) {
+			edits = apply(editor.getValue());
+			editor.transaction({
+				changes: edits.map(edit => {
+					const end = { line: edit.line, ch: editor.getLine(edit.line).length };
+					return edit.insert ?
+						{ from: end, to: end, text: '\n' + edit.text } :
+						{ from: { line: edit.line, ch: 0 }, to: end, text: edit.text };
+				})
+			});
+		} else {
+			await this.app.vault.process(file, (content) => {
+				const lines = content.split('\n');
+				edits = apply(content);
+				edits.slice().sort((a, b) => b.line - a.line).forEach(edit => {
+					if (edit.insert) {
+						lines.splice(edit.line + 1, 0, edit.text);
+					} else {
+						lines[edit.line] = edit.text;
 					}
-				}
+				});
+				return lines.join('\n');
+			});
+		}
+
+		new Notice(edits.length > 0 ? `已更新 ${edits.length} 处参数` : '参数没有变化');
+	}
+
+	// 注册设置中尚未注册的扩展名；已被其他插件占用的扩展名会被跳过
+	registerMappedExtensions() {
+		const pending = this.settings.extensions.filter(ext => !this.registeredExtensions.includes(ext));
+		const failed = [];
+
+		pending.forEach(ext => {
+			try {
+				this.registerExtensions([ext], 'markdown');
+				this.registeredExtensions.push(ext);
+			} catch (error) {
+				failed.push(ext);
 			}
 		});
 
-		return headers;
+		if (failed.length > 0) {
+			new Notice(`无法映射扩展名: ${failed.join(', ')}`);
+		}
+	}
+
+	isRmdFile(file) {
+		if (!file || !file.extension) return false;
+		const ext = file.extension.toLowerCase();
+		return this.settings.extensions.some(mapped => mapped.toLowerCase() === ext);
+	}
+
+	// 解析标题，忽略代码块中的内容
+	parseHeadersIgnoreCodeBlocks(content) {
+		return this.parseRmdStructure(content).headers;
+	}
+
+	// 解析标题、代码块、fenced div和YAML头，返回 { headers, chunks, divs, frontMatter }
+	parseRmdStructure(content) {
+		const result = createStructureResult();
+		parseStructureLines(content.split('\n'), 0, createParseState(), result, [], null);
+		return finalizeStructure(result);
+	}
+
+	// 带缓存的增量解析，用于频繁刷新的视图
+	getRmdStructure(path, content) {
+		return this.structureCache.get(path, content);
+	}
+
+	// 优先读取编辑器中尚未保存的内容
+	async readRmdContent(file) {
+		const editor = this.getEditorForFile(file);
+		return editor ? editor.getValue() : this.app.vault.cachedRead(file);
 	}
 }
 
+// 大纲每行的固定高度（像素），虚拟滚动按此计算可见范围
+const OUTLINE_ROW_HEIGHT = 26;
+// 视口上下额外渲染的行数，减少快速滚动时的空白
+const OUTLINE_OVERSCAN = 10;
+
+// 一次遍历建立大纲树：每个节点记录父节点、子节点和子树结束位置（不含）
+// 代码块不会成为父节点
+function buildOutlineTree(entries) {
+	const nodes = entries.map((entry, index) => ({ entry, index, parent: null, children: [], end: index + 1 }));
+	const stack = [];
+
+	nodes.forEach(node => {
+		while (stack.length > 0 && stack[stack.length - 1].entry.level >= node.entry.level) {
+			stack.pop().end = node.index;
+		}
+		if (stack.length > 0) {
+			node.parent = stack[stack.length - 1];
+			node.parent.children.push(node);
+		}
+		if (node.entry.type !== 'chunk') stack.push(node);
+	});
+	stack.forEach(node => {
+		node.end = nodes.length;
+	});
+
+	return nodes;
+}
+
 class RMDOutlineView extends ItemView {
 	constructor(leaf, plugin) {
 		super(leaf);
@@ -184,23 +3139,22 @@ class RMDOutlineView extends ItemView {
 			})
 		);
 
-		// 监听文件修改
+		// 索引更新（文件在编辑器外被修改）；文件在编辑器中打开时由编辑器变化事件负责刷新
 		this.registerEvent(
-			this.app.vault.on('modify', (file) => {
-				if (file && this.plugin.isRmdFile(file)) {
-					setTimeout(() => this.refresh(), 300);
+			this.plugin.rmdIndex.on('changed', (file) => {
+				if (file.path === this.currentFilePath && !this.plugin.getEditorForFile(file)) {
+					this.refresh();
 				}
 			})
 		);
 
-		// 监听编辑器变化
+		// 监听编辑器变化，直接解析编辑器中的内容
 		this.registerEvent(
 			this.app.workspace.on('editor-change', (editor, info) => {
-				const activeFile = this.app.workspace.getActiveFile();
-				if (activeFile && this.plugin.isRmdFile(activeFile)) {
+				if (info && info.file && info.file.path === this.currentFilePath) {
 					// 防抖更新，避免频繁刷新
 					clearTimeout(this.refreshTimeout);
-					this.refreshTimeout = setTimeout(() => this.refresh(), 500);
+					this.refreshTimeout = setTimeout(() => this.refresh(), 300);
 				}
 			})
 		);
@@ -208,143 +3162,328 @@ class RMDOutlineView extends ItemView {
 
 	async refresh() {
 		const container = this.containerEl.children[1];
-		container.empty();
 
 		const activeFile = this.app.workspace.getActiveFile();
 		if (!activeFile || !this.plugin.isRmdFile(activeFile)) {
+			this.currentFilePath = null;
+			this.currentHeaders = null;
+			this.outlineTree = null;
+			this.listEl = null;
+			container.empty();
 			container.createEl('div', { text: '请打开RMD文件' });
 			return;
 		}
 
 		try {
-			const content = await this.app.vault.read(activeFile);
-			const headers = this.plugin.parseHeadersIgnoreCodeBlocks(content);
-			this.currentHeaders = headers; // 保存到实例变量
+			const content = await this.plugin.readRmdContent(activeFile);
+			const structure = this.plugin.getRmdStructure(activeFile.path, content);
 
-			if (headers.length === 0) {
-				container.createEl('div', { text: '未找到标题' });
-				return;
+			// 切换文件时重建界面；同一文件只原地更新列表，保留搜索框内容、焦点和滚动位置
+			if (activeFile.path !== this.currentFilePath || !this.listEl) {
+				this.currentFilePath = activeFile.path;
+				this.buildSkeleton(container);
 			}
 
-			// 顶部工具栏
-			const toolbar = container.createEl('div', {
-				cls: 'rmd-outline-toolbar'
-			});
-
-			// 搜索框
-			const searchInput = toolbar.createEl('input', {
-				cls: 'rmd-outline-search',
-				attr: {
-					type: 'text',
-					placeholder: '搜索标题...'
-				}
-			});
+			const headers = this.buildOutlineEntries(structure);
+			this.currentHeaders = headers; // 保存到实例变量
+			this.outlineTree = buildOutlineTree(headers);
+			this.pruneCollapsedStates(structure.headers);
 
-			// 全部折叠/展开按钮
-			const collapseAllBtn = toolbar.createEl('button', {
-				text: this.isAllCollapsed ? '展开' : '折叠',
-				cls: 'rmd-outline-collapse-btn'
-			});
+			this.frontMatterEl.empty();
+			if (structure.frontMatter) {
+				this.renderFrontMatter(this.frontMatterEl, structure.frontMatter);
+			}
 
-			// 内容区域
-			const list = container.createEl('div', { 
-				cls: 'nav-files-container rmd-outline-content'
-			});
-			
-			// 搜索功能
-			searchInput.addEventListener('input', (e) => {
-				this.filterHeaders(e.target.value.toLowerCase(), headers, list);
-			});
+			if (structure.headers.length === 0 && structure.chunks.length === 0) {
+				this.listEl.empty();
+				this.listEl.createEl('div', { text: '未找到标题' });
+				return;
+			}
 
-			// 折叠功能
-			collapseAllBtn.addEventListener('click', () => {
-				this.toggleAllCollapsed(headers);
-				collapseAllBtn.textContent = this.isAllCollapsed ? '展开' : '折叠';
-				this.buildCollapsibleHeaders(list, headers);
-			});
-			
-			// 构建可折叠的标题树
-			this.buildCollapsibleHeaders(list, headers);
+			this.renderList();
 		} catch (error) {
+			this.currentFilePath = null;
+			this.listEl = null;
+			container.empty();
 			container.createEl('div', { text: '读取文件失败: ' + error.message });
 		}
 	}
 
-	buildCollapsibleHeaders(container, headers) {
+	// 创建YAML头区域、工具栏和列表容器，每个文件只创建一次
+	buildSkeleton(container) {
 		container.empty();
-		this.collapsedStates = this.collapsedStates || {};
-		this.currentHeaders = headers;
-		
-		headers.forEach((header, index) => {
-			const hasChildren = this.hasAnyChildren(header, headers, index);
-			const isCollapsed = this.collapsedStates[`${header.level}-${header.line}`];
-			const isActive = this.activeHeaderLine === header.line;
-			
-			// 检查是否应该隐藏（父级折叠）
-			if (this.shouldHideHeader(header, headers, index)) {
-				return;
+		container.addClass('rmd-outline-view');
+		this.searchTerm = '';
+
+		this.frontMatterEl = container.createEl('div', { cls: 'rmd-outline-frontmatter-container' });
+
+		// 顶部工具栏
+		const toolbar = container.createEl('div', {
+			cls: 'rmd-outline-toolbar'
+		});
+
+		// 搜索框
+		const searchInput = toolbar.createEl('input', {
+			cls: 'rmd-outline-search',
+			attr: {
+				type: 'text',
+				placeholder: '搜索标题...'
 			}
-			
-			// 判断是否是子标题（有直接父标题）
-			const isChildOfParent = this.isDirectChildOfParent(header, headers, index);
-			const isFirstChild = isChildOfParent && this.isFirstChildOfParent(header, headers, index);
-			const isLastChild = isChildOfParent && this.isLastChildOfParent(header, headers, index);
+		});
+
+		// 全部折叠/展开按钮
+		const collapseAllBtn = toolbar.createEl('button', {
+			text: this.isAllCollapsed ? '展开' : '折叠',
+			cls: 'rmd-outline-collapse-btn'
+		});
+
+		// 显示/隐藏代码块按钮
+		const chunkToggleBtn = toolbar.createEl('button', {
+			cls: 'rmd-outline-chunk-toggle',
+			attr: { 'aria-label': '显示/隐藏代码块' }
+		});
+		setIcon(chunkToggleBtn, 'code');
+		chunkToggleBtn.toggleClass('is-active', this.plugin.settings.showChunksInOutline);
+
+		// 内容区域：只渲染视口内的行，滚动时补充
+		this.listEl = container.createEl('div', { 
+			cls: 'nav-files-container rmd-outline-content'
+		});
+		this.listEl.addEventListener('scroll', () => this.renderViewport());
+
+		// 搜索功能
+		searchInput.addEventListener('input', (e) => {
+			this.searchTerm = e.target.value.toLowerCase();
+			this.renderList();
+		});
+
+		// 代码块显示切换
+		chunkToggleBtn.addEventListener('click', async () => {
+			this.plugin.settings.showChunksInOutline = !this.plugin.settings.showChunksInOutline;
+			chunkToggleBtn.toggleClass('is-active', this.plugin.settings.showChunksInOutline);
+			await this.plugin.saveSettings();
+			this.refresh();
+		});
+
+		// 折叠功能
+		collapseAllBtn.addEventListener('click', () => {
+			if (!this.outlineTree) return;
+			this.toggleAllCollapsed(this.outlineTree);
+			collapseAllBtn.textContent = this.isAllCollapsed ? '展开' : '折叠';
+			this.renderList();
+		});
+	}
+
+	// 按当前搜索词和折叠状态计算可见行，保持滚动位置
+	renderList() {
+		if (!this.listEl || !this.outlineTree) return;
+		const scrollTop = this.listEl.scrollTop;
+
+		this.visibleNodes = this.getVisibleNodes(this.searchTerm || '');
+		if (!this.rowsEl || this.rowsEl.parentElement !== this.listEl.firstElementChild) {
+			this.listEl.empty();
+			const spacer = this.listEl.createEl('div', { cls: 'rmd-outline-spacer' });
+			this.rowsEl = spacer.createEl('div', { cls: 'rmd-outline-rows' });
+		}
+		this.rowsEl.parentElement.style.height = `${this.visibleNodes.length * OUTLINE_ROW_HEIGHT}px`;
+
+		this.listEl.scrollTop = scrollTop;
+		this.renderedRange = null;
+		this.renderViewport();
+	}
+
+	// 搜索时列出所有匹配项；否则跳过折叠节点的子树
+	getVisibleNodes(searchTerm) {
+		const nodes = this.outlineTree;
+		if (searchTerm) {
+			return nodes.filter(node =>
+				node.entry.text.toLowerCase().includes(searchTerm) ||
+				(node.entry.number && node.entry.number.startsWith(searchTerm))
+			);
+		}
+
+		const collapsedStates = this.getCollapsedStates();
+		const visible = [];
+		for (let i = 0; i < nodes.length; i++) {
+			const node = nodes[i];
+			visible.push(node);
+			if (node.children.length > 0 && collapsedStates[this.getCollapseKey(node.entry)]) {
+				i = node.end - 1;
+			}
+		}
+		return visible;
+	}
+
+	// 只创建视口内（含上下缓冲）的行
+	renderViewport() {
+		if (!this.rowsEl || !this.visibleNodes) return;
+		const first = Math.max(0, Math.floor(this.listEl.scrollTop / OUTLINE_ROW_HEIGHT) - OUTLINE_OVERSCAN);
+		const last = Math.min(this.visibleNodes.length,
+			Math.ceil((this.listEl.scrollTop + this.listEl.clientHeight) / OUTLINE_ROW_HEIGHT) + OUTLINE_OVERSCAN);
+		if (this.renderedRange && this.renderedRange.first === first && this.renderedRange.last === last) return;
+		this.renderedRange = { first, last };
+
+		const collapsedStates = this.getCollapsedStates();
+		this.rowsEl.empty();
+		this.rowsEl.style.top = `${first * OUTLINE_ROW_HEIGHT}px`;
+
+		for (let i = first; i < last; i++) {
+			const node = this.visibleNodes[i];
+			const header = node.entry;
+			const headers = this.currentHeaders;
+			const index = node.index;
+
+			// 子标题的分组样式：紧跟父标题为第一个，其后不再有同级或下级为最后一个
+			const isChildOfParent = !!node.parent && node.parent.entry.level === header.level - 1;
+			const isFirstChild = isChildOfParent && node.parent.index === index - 1;
+			const isLastChild = isChildOfParent && (index === headers.length - 1 || headers[index + 1].level <= header.level);
 			const isMiddleChild = isChildOfParent && !isFirstChild && !isLastChild;
-			
-			this.renderSingleHeaderWithGrouping(container, header, hasChildren, isCollapsed, isActive, headers, index, isFirstChild, isLastChild, isMiddleChild);
+
+			this.renderSingleHeaderWithGrouping(this.rowsEl, header, node.children.length > 0,
+				collapsedStates[this.getCollapseKey(header)], this.activeHeaderLine === header.line,
+				headers, index, isFirstChild, isLastChild, isMiddleChild);
+		}
+	}
+
+	// 滚动列表使第 row 个可见行出现在视口中
+	scrollToRow(row) {
+		const top = row * OUTLINE_ROW_HEIGHT;
+		const bottom = top + OUTLINE_ROW_HEIGHT;
+		if (top < this.listEl.scrollTop) {
+			this.listEl.scrollTop = top;
+		} else if (bottom > this.listEl.scrollTop + this.listEl.clientHeight) {
+			this.listEl.scrollTop = bottom - this.listEl.clientHeight;
+		}
+		this.renderViewport();
+	}
+
+	onResize() {
+		this.renderViewport();
+	}
+
+	// 高亮包含指定行（从1开始）的章节或代码块，展开其折叠的上级并滚动到可见位置
+	followLine(filePath, line) {
+		if (filePath !== this.currentFilePath || !this.currentHeaders) return;
+
+		let index = -1;
+		this.currentHeaders.forEach((entry, i) => {
+			if (entry.line > line) return;
+			// 代码块只在光标位于其范围内时才算命中
+			if (entry.type === 'chunk' && line > entry.chunk.endLine) return;
+			index = i;
+		});
+		if (index === -1) return;
+
+		const entry = this.currentHeaders[index];
+		if (this.activeHeaderLine === entry.line) return;
+		this.activeHeaderLine = entry.line;
+
+		// 展开所有上级
+		const collapsedStates = this.getCollapsedStates();
+		const node = this.outlineTree[index];
+		let expanded = false;
+		for (let parent = node.parent; parent; parent = parent.parent) {
+			const key = this.getCollapseKey(parent.entry);
+			if (!collapsedStates[key]) continue;
+			delete collapsedStates[key];
+			expanded = true;
+		}
+		// 光标移动很频繁，只在确实展开了章节时才保存
+		if (expanded) this.plugin.saveCollapseStates();
+
+		if (!this.listEl) return;
+		this.renderList();
+
+		const row = this.visibleNodes.indexOf(node);
+		if (row !== -1) this.scrollToRow(row);
+	}
+
+	// 顶部的YAML头摘要：标题、作者、输出格式、参数和参考文献，点击跳转到对应行
+	renderFrontMatter(container, frontMatter) {
+		const panel = container.createEl('div', { cls: 'rmd-outline-frontmatter' });
+		panel.toggleClass('is-collapsed', !!this.isFrontMatterCollapsed);
+
+		const header = panel.createEl('div', { cls: 'rmd-outline-frontmatter-header' });
+		const collapseIcon = header.createEl('span', { cls: 'rmd-outline-frontmatter-collapse' });
+		setIcon(collapseIcon, 'chevron-down');
+		header.createEl('span', { text: '文档信息' });
+		header.addEventListener('click', () => {
+			this.isFrontMatterCollapsed = !this.isFrontMatterCollapsed;
+			panel.toggleClass('is-collapsed', this.isFrontMatterCollapsed);
+		});
+
+		const body = panel.createEl('div', { cls: 'rmd-outline-frontmatter-body' });
+		const data = frontMatter.data;
+
+		const addRow = (label, value, line, cls) => {
+			const row = body.createEl('div', { cls: 'rmd-outline-frontmatter-row' });
+			if (cls) row.addClass(cls);
+			row.createEl('span', { cls: 'rmd-outline-frontmatter-label', text: label });
+			row.createEl('span', { cls: 'rmd-outline-frontmatter-value', text: value });
+			row.addEventListener('click', () => this.jumpToHeader({ line: line }));
+			return row;
+		};
+
+		if (frontMatter.error) {
+			addRow('YAML错误', frontMatter.error, frontMatter.startLine, 'is-error');
+		}
+		if (data.title !== undefined) {
+			addRow('标题', formatYamlValue(data.title), frontMatter.fields.title);
+		}
+		if (data.author !== undefined) {
+			addRow('作者', formatYamlValue(data.author), frontMatter.fields.author);
+		}
+		frontMatter.outputFormats.forEach(format => {
+			addRow('输出', format.name, format.line);
 		});
-	}
-	
-	isDirectChildOfParent(header, headers, index) {
-		if (index === 0) return false;
-		// 向前查找直接父标题
-		for (let i = index - 1; i >= 0; i--) {
-			const prevHeader = headers[i];
-			if (prevHeader.level === header.level - 1) {
-				return true; // 找到直接父标题
-			}
-			if (prevHeader.level < header.level - 1) {
-				break; // 跳过了层级，没有直接父标题
-			}
+		frontMatter.params.forEach(param => {
+			addRow('参数', `${param.name} = ${formatYamlValue(param.value)}`, param.line, 'is-param');
+		});
+		if (data.bibliography !== undefined) {
+			addRow('参考文献', formatYamlValue(data.bibliography), frontMatter.fields.bibliography);
 		}
-		return false;
 	}
 
-	isFirstChildOfParent(header, headers, index) {
-		if (index === 0) return false;
-		const prevHeader = headers[index - 1];
-		return prevHeader.level === header.level - 1;
+	// 是否显示章节编号：设置优先，auto 时跟随YAML
+	isNumberingEnabled(structure) {
+		const mode = this.plugin.settings.sectionNumbering;
+		if (mode === 'on') return true;
+		if (mode === 'off') return false;
+		return !!structure.frontMatter && yamlEnablesNumberSections(structure.frontMatter.data);
 	}
-	
-	isLastChildOfParent(header, headers, index) {
-		if (index === headers.length - 1) return true;
-		const nextHeader = headers[index + 1];
-		// 只有当下一个标题不是自己的子标题且级别不大于当前级别时，才是最后一个子标题
-		return nextHeader.level <= header.level;
-	}
-	
-	hasParent(header, headers, index) {
-		for (let i = index - 1; i >= 0; i--) {
-			if (headers[i].level === header.level - 1) return true;
-			if (headers[i].level < header.level - 1) break;
+
+	// 合并标题和代码块：代码块作为其所在章节的子节点
+	buildOutlineEntries(structure) {
+		// 缓存中的标题对象会被后续解析复用，编号写在副本上
+		const headers = structure.headers.map(header => Object.assign({}, header));
+		if (this.isNumberingEnabled(structure)) {
+			numberSections(headers);
 		}
-		return false;
-	}
 
-	hasAnyChildren(header, headers, index) {
-		// 检查后面是否有任何级别更深的标题
-		for (let i = index + 1; i < headers.length; i++) {
-			const nextHeader = headers[i];
-			if (nextHeader.level > header.level) {
-				return true; // 有下级标题
-			}
-			if (nextHeader.level <= header.level) {
-				break; // 遇到同级或上级标题，停止查找
-			}
+		if (!this.plugin.settings.showChunksInOutline) {
+			return headers;
 		}
-		return false;
-	}
 
+		const entries = [];
+		let sectionLevel = 0;
+		let headerIndex = 0;
+
+		structure.chunks.forEach(chunk => {
+			while (headerIndex < headers.length && headers[headerIndex].line < chunk.line) {
+				sectionLevel = headers[headerIndex].level;
+				entries.push(headers[headerIndex++]);
+			}
+			entries.push({
+				type: 'chunk',
+				level: sectionLevel + 1,
+				text: chunk.label || `unnamed chunk ${chunk.index}`,
+				line: chunk.line,
+				chunk: chunk
+			});
+		});
+
+		return entries.concat(headers.slice(headerIndex));
+	}
 
 	renderSingleHeaderWithGrouping(container, header, hasChildren, isCollapsed, isActive, headers, index, isFirstChild, isLastChild, isMiddleChild) {
 		const baseIndent = (header.level - 1) * 12;
@@ -355,6 +3494,7 @@ class RMDOutlineView extends ItemView {
 		if (isMiddleChild) wrapperClasses.push('middle-child');
 		if (isLastChild) wrapperClasses.push('last-child');
 		if (header.level >= 2) wrapperClasses.push(`level-${header.level}`);
+		if (header.type === 'chunk') wrapperClasses.push('rmd-outline-chunk');
 		
 		const wrapper = container.createEl('div', {
 			cls: wrapperClasses.join(' ')
@@ -377,6 +3517,251 @@ class RMDOutlineView extends ItemView {
 		this.addCollapseIcon(itemSelf, hasChildren, isCollapsed, header);
 		this.addHeaderText(itemSelf, header);
 		this.addHoverEffects(itemSelf, isActive);
+		this.addDragHandlers(itemSelf, header);
+
+		itemSelf.addEventListener('contextmenu', (e) => {
+			e.preventDefault();
+			this.openItemMenu(e, header, itemSelf);
+		});
+	}
+
+	// 右键菜单：升级/降级、重命名、删除、复制链接和文本、在编辑器中选中
+	openItemMenu(e, entry, itemSelf) {
+		const menu = new Menu();
+
+		if (entry.type === 'heading') {
+			menu.addItem(item => item
+				.setTitle('升级标题')
+				.setIcon('arrow-left')
+				.setDisabled(entry.level <= 1)
+				.onClick(() => this.changeHeadingLevel(entry, -1, false)));
+			menu.addItem(item => item
+				.setTitle('升级标题（含子章节）')
+				.setIcon('arrow-left-to-line')
+				.setDisabled(entry.level <= 1)
+				.onClick(() => this.changeHeadingLevel(entry, -1, true)));
+			menu.addItem(item => item
+				.setTitle('降级标题')
+				.setIcon('arrow-right')
+				.setDisabled(entry.level >= 6)
+				.onClick(() => this.changeHeadingLevel(entry, 1, false)));
+			menu.addItem(item => item
+				.setTitle('降级标题（含子章节）')
+				.setIcon('arrow-right-to-line')
+				.setDisabled(entry.level >= 6)
+				.onClick(() => this.changeHeadingLevel(entry, 1, true)));
+			menu.addSeparator();
+			menu.addItem(item => item
+				.setTitle('重命名')
+				.setIcon('pencil')
+				.onClick(() => this.startRename(entry, itemSelf)));
+			menu.addItem(item => item
+				.setTitle('删除章节')
+				.setIcon('trash')
+				.onClick(() => this.deleteSection(entry)));
+			menu.addSeparator();
+			menu.addItem(item => item
+				.setTitle('复制链接')
+				.setIcon('link')
+				.onClick(() => this.copyHeadingLink(entry)));
+		}
+
+		menu.addItem(item => item
+			.setTitle(entry.type === 'heading' ? '复制章节文本' : '复制代码块文本')
+			.setIcon('copy')
+			.onClick(() => this.copySectionText(entry)));
+		menu.addItem(item => item
+			.setTitle(entry.type === 'heading' ? '在编辑器中选中章节' : '在编辑器中选中代码块')
+			.setIcon('text-select')
+			.onClick(() => this.selectSection(entry)));
+
+		menu.showAtMouseEvent(e);
+	}
+
+	// 在编辑器当前内容中重新定位条目，返回 { editor, lines, headers, index, range }
+	// range 为条目覆盖的行 [start, end)；编辑器未打开或条目已不存在时返回null
+	locateEntry(entry) {
+		const editor = this.getCurrentEditor();
+		if (!editor) {
+			new Notice('请先在编辑器中打开该文件');
+			return null;
+		}
+
+		const content = editor.getValue();
+		const lines = content.split('\n');
+		const structure = this.plugin.parseRmdStructure(content);
+
+		if (entry.type === 'chunk') {
+			const chunk = structure.chunks.find(c => c.index === entry.chunk.index);
+			if (!chunk) return null;
+			return { editor, lines, headers: structure.headers, index: -1, range: { start: chunk.line - 1, end: chunk.endLine } };
+		}
+
+		const headers = structure.headers;
+		const index = headers.findIndex(h => h.anchor === entry.anchor);
+		if (index === -1) return null;
+		return { editor, lines, headers, index, range: getSectionRange(headers, index, lines) };
+	}
+
+	changeHeadingLevel(entry, delta, withSubtree) {
+		const located = this.locateEntry(entry);
+		if (!located) return;
+		const { editor, lines, headers, index, range } = located;
+
+		if (withSubtree) {
+			const section = shiftSectionLevels(lines, headers, index, delta);
+			this.plugin.replaceEditorLines(editor, range.start, range.end, section);
+			return;
+		}
+
+		const header = headers[index];
+		const count = header.setext ? 2 : 1;
+		const changed = lines.slice(header.line - 1, header.line - 1 + count);
+		setHeadingLevel(changed, Object.assign({}, header, { line: 1 }), header.level + delta);
+		this.plugin.replaceEditorLines(editor, header.line - 1, header.line - 1 + count, changed);
+	}
+
+	// 在大纲中直接编辑标题文字，回车确认，Esc取消
+	startRename(entry, itemSelf) {
+		const title = itemSelf.querySelector('.rmd-outline-title');
+		if (!title) return;
+
+		const input = createEl('input', {
+			cls: 'rmd-outline-rename',
+			attr: { type: 'text', value: entry.source }
+		});
+		title.replaceWith(input);
+		input.focus();
+		input.select();
+
+		let done = false;
+		const finish = (commit) => {
+			if (done) return;
+			done = true;
+			const text = input.value.trim();
+			input.replaceWith(title);
+			if (commit && text && text !== entry.source) this.renameHeading(entry, text);
+		};
+
+		input.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') finish(true);
+			if (e.key === 'Escape') finish(false);
+		});
+		input.addEventListener('blur', () => finish(true));
+		input.addEventListener('click', (e) => e.stopPropagation());
+	}
+
+	renameHeading(entry, text) {
+		const located = this.locateEntry(entry);
+		if (!located) return;
+		const header = located.headers[located.index];
+		const changed = located.lines.slice();
+		renameHeadingLines(changed, header, text);
+		this.plugin.replaceEditorLines(located.editor, header.line - 1, header.line, [changed[header.line - 1]]);
+	}
+
+	deleteSection(entry) {
+		const located = this.locateEntry(entry);
+		if (!located) return;
+		this.plugin.replaceEditorLines(located.editor, located.range.start, located.range.end, []);
+	}
+
+	copyHeadingLink(entry) {
+		const file = this.app.vault.getAbstractFileByPath(this.currentFilePath);
+		if (!file) return;
+		// Obsidian的标题链接中不能包含 # | ^ [ ]
+		const heading = entry.source.replace(/[#|^\[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+		navigator.clipboard.writeText(`[[${file.name}#${heading}]]`);
+		new Notice('已复制链接');
+	}
+
+	copySectionText(entry) {
+		const located = this.locateEntry(entry);
+		if (!located) return;
+		navigator.clipboard.writeText(located.lines.slice(located.range.start, located.range.end).join('\n'));
+		new Notice('已复制');
+	}
+
+	selectSection(entry) {
+		const located = this.locateEntry(entry);
+		if (!located) return;
+		const { editor, lines, range } = located;
+		const last = Math.max(range.start, range.end - 1);
+		editor.setSelection({ line: range.start, ch: 0 }, { line: last, ch: lines[last].length });
+		editor.focus();
+	}
+
+	// 拖动标题以移动整个章节，放在目标标题之前、之后或内部
+	addDragHandlers(itemSelf, header) {
+		if (header.type !== 'heading') return;
+		itemSelf.setAttr('draggable', 'true');
+
+		const clearDropClasses = () => {
+			itemSelf.removeClass('drop-before', 'drop-after', 'drop-inside');
+		};
+
+		itemSelf.addEventListener('dragstart', (e) => {
+			this.dragEntry = header;
+			e.dataTransfer.effectAllowed = 'move';
+			e.dataTransfer.setData('text/plain', header.text);
+			itemSelf.addClass('is-dragging');
+		});
+
+		itemSelf.addEventListener('dragend', () => {
+			this.dragEntry = null;
+			itemSelf.removeClass('is-dragging');
+		});
+
+		itemSelf.addEventListener('dragover', (e) => {
+			if (!this.dragEntry || this.dragEntry === header) return;
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'move';
+			clearDropClasses();
+			itemSelf.addClass(`drop-${this.getDropPosition(itemSelf, e)}`);
+		});
+
+		itemSelf.addEventListener('dragleave', clearDropClasses);
+
+		itemSelf.addEventListener('drop', (e) => {
+			e.preventDefault();
+			clearDropClasses();
+			if (!this.dragEntry || this.dragEntry === header) return;
+			this.moveSection(this.dragEntry, header, this.getDropPosition(itemSelf, e));
+			this.dragEntry = null;
+		});
+	}
+
+	// 上四分之一为之前，下四分之一为之后，中间为内部
+	getDropPosition(itemSelf, e) {
+		const rect = itemSelf.getBoundingClientRect();
+		const offset = (e.clientY - rect.top) / rect.height;
+		if (offset < 0.25) return 'before';
+		if (offset > 0.75) return 'after';
+		return 'inside';
+	}
+
+	// 在编辑器中移动章节（含子章节和代码块），整体作为一次可撤销的修改
+	moveSection(entry, target, position) {
+		const editor = this.getCurrentEditor();
+		if (!editor) {
+			new Notice('请先在编辑器中打开该文件');
+			return;
+		}
+
+		const content = editor.getValue();
+		const headers = this.plugin.parseHeadersIgnoreCodeBlocks(content);
+		const fromIndex = headers.findIndex(h => h.anchor === entry.anchor);
+		const targetIndex = headers.findIndex(h => h.anchor === target.anchor);
+		if (fromIndex === -1 || targetIndex === -1) return;
+
+		const move = computeSectionMove(content.split('\n'), headers, fromIndex, targetIndex, position);
+		if (!move) return;
+		this.plugin.replaceEditorLines(editor, move.from, move.to, move.lines);
+	}
+
+	getCurrentEditor() {
+		const file = this.currentFilePath && this.app.vault.getAbstractFileByPath(this.currentFilePath);
+		return file ? this.plugin.getEditorForFile(file) : null;
 	}
 
 
@@ -397,9 +3782,15 @@ class RMDOutlineView extends ItemView {
 			
 			collapseIcon.addEventListener('click', (e) => {
 				e.stopPropagation();
-				const key = `${header.level}-${header.line}`;
-				this.collapsedStates[key] = !this.collapsedStates[key];
-				this.refresh();
+				const collapsedStates = this.getCollapsedStates();
+				const key = this.getCollapseKey(header);
+				if (collapsedStates[key]) {
+					delete collapsedStates[key];
+				} else {
+					collapsedStates[key] = true;
+				}
+				this.plugin.saveCollapseStates();
+				this.renderList();
 			});
 		} else {
 			// 为没有子标题的标题添加等宽占位符
@@ -410,17 +3801,55 @@ class RMDOutlineView extends ItemView {
 	}
 
 	addHeaderText(itemSelf, header) {
+		if (header.type === 'chunk') {
+			const icon = itemSelf.createEl('span', { cls: 'rmd-outline-chunk-icon' });
+			setIcon(icon, 'code');
+		}
+
 		const link = itemSelf.createEl('div', {
-			cls: 'nav-file-title rmd-outline-title',
-			text: header.text
+			cls: 'nav-file-title rmd-outline-title'
 		});
+		if (header.number) {
+			link.createEl('span', { cls: 'rmd-outline-number', text: header.number });
+		}
+		link.appendText(header.text);
+
+		if (header.id) {
+			link.setAttr('title', `#${header.id}`);
+		}
+
+		if (header.type === 'chunk') {
+			link.addClass('rmd-outline-chunk-title');
+			if (!header.chunk.label) link.addClass('is-unnamed');
+			itemSelf.createEl('span', {
+				cls: 'rmd-outline-chunk-engine',
+				text: header.chunk.engine
+			});
+
+			const optionText = Object.keys(header.chunk.options)
+				.map(key => `${key} = ${formatYamlValue(header.chunk.options[key])}`)
+				.join('\n');
+			if (optionText) link.setAttr('title', optionText);
+
+			// 头部选项与 #| 选项冲突或 #| 选项解析失败时给出提示
+			const problems = header.chunk.conflicts.map(conflict =>
+				`${conflict.option}: 头部为 ${formatYamlValue(conflict.header)}，#| 为 ${formatYamlValue(conflict.pipe)}`);
+			if (header.chunk.optionError) problems.push(`#| 选项解析失败: ${header.chunk.optionError}`);
+			if (problems.length > 0) {
+				const warning = itemSelf.createEl('span', {
+					cls: 'rmd-outline-chunk-warning',
+					attr: { title: problems.join('\n') }
+				});
+				setIcon(warning, 'alert-triangle');
+			}
+		}
 
 		link.addEventListener('click', (e) => {
 			e.preventDefault();
 			e.stopPropagation();
 			this.activeHeaderLine = header.line;
 			this.jumpToHeader(header);
-			this.buildCollapsibleHeaders(this.containerEl.children[1].querySelector('.nav-files-container'), this.currentHeaders);
+			this.renderList();
 		});
 	}
 
@@ -428,22 +3857,6 @@ class RMDOutlineView extends ItemView {
 		// 悬停效果现在通过CSS处理
 	}
 
-	shouldHideHeader(header, headers, currentIndex) {
-		// 检查所有上级标题是否有折叠的
-		for (let i = currentIndex - 1; i >= 0; i--) {
-			const prevHeader = headers[i];
-			// 如果找到级别更小（更高级）的标题，检查是否折叠
-			if (prevHeader.level < header.level) {
-				const key = `${prevHeader.level}-${prevHeader.line}`;
-				// 如果任何上级标题折叠，则隐藏当前标题
-				if (this.collapsedStates && this.collapsedStates[key]) {
-					return true;
-				}
-			}
-		}
-		return false;
-	}
-
 	jumpToHeader(header) {
 		// 获取当前大纲视图对应的文件
 		const currentFile = this.app.workspace.getActiveFile();
@@ -474,7 +3887,14 @@ class RMDOutlineView extends ItemView {
 		if (targetLeaf && targetLeaf.view && targetLeaf.view.editor) {
 			this.app.workspace.setActiveLeaf(targetLeaf);
 			const editor = targetLeaf.view.editor;
-			const targetLine = header.line - 1;
+			let targetLine = header.line - 1;
+
+			// 编辑后行号可能已变化，按锚点重新定位标题
+			if (header.anchor) {
+				const current = this.plugin.parseHeadersIgnoreCodeBlocks(editor.getValue())
+					.find(h => h.anchor === header.anchor);
+				if (current) targetLine = current.line - 1;
+			}
 			
 			editor.setCursor(targetLine, 0);
 			editor.scrollIntoView({
@@ -488,33 +3908,321 @@ class RMDOutlineView extends ItemView {
 		}
 	}
 
-	filterHeaders(searchTerm, headers, container) {
-		container.empty();
-		const filteredHeaders = headers.filter(header => 
-			header.text.toLowerCase().includes(searchTerm)
-		);
-		this.buildCollapsibleHeaders(container, searchTerm ? filteredHeaders : headers);
-	}
-
-	toggleAllCollapsed(headers) {
-		this.collapsedStates = this.collapsedStates || {};
+	toggleAllCollapsed(nodes) {
+		const collapsedStates = this.getCollapsedStates();
 		
 		// 切换全局状态
 		this.isAllCollapsed = !this.isAllCollapsed;
 		
 		if (this.isAllCollapsed) {
 			// 全部折叠：折叠所有有子标题的标题
-			headers.forEach((header, index) => {
-				const hasChildren = this.hasAnyChildren(header, headers, index);
-				if (hasChildren) {
-					this.collapsedStates[`${header.level}-${header.line}`] = true;
+			nodes.forEach(node => {
+				if (node.children.length > 0) {
+					collapsedStates[this.getCollapseKey(node.entry)] = true;
 				}
 			});
 		} else {
 			// 全部展开
-			this.collapsedStates = {};
+			Object.keys(collapsedStates).forEach(key => delete collapsedStates[key]);
+		}
+		this.plugin.saveCollapseStates();
+	}
+
+	// 折叠状态以标题锚点为键，插入或删除行后仍能对应到同一标题
+	getCollapseKey(header) {
+		return header.anchor || `${header.level}-${header.line}`;
+	}
+
+	getCollapsedStates() {
+		return this.currentFilePath ? this.plugin.getCollapseStates(this.currentFilePath) : {};
+	}
+
+	// 删除已不存在的标题的折叠状态
+	pruneCollapsedStates(headers) {
+		const collapsedStates = this.getCollapsedStates();
+		const keys = new Set(headers.map(header => this.getCollapseKey(header)));
+		const stale = Object.keys(collapsedStates).filter(key => !keys.has(key));
+		stale.forEach(key => delete collapsedStates[key]);
+		if (stale.length > 0) this.plugin.saveCollapseStates();
+	}
+}
+
+// 编译输出：显示命令、实时输出和结果，可取消任务或打开生成的文件
+class RMDKnitView extends ItemView {
+	constructor(leaf, plugin) {
+		super(leaf);
+		this.plugin = plugin;
+		this.outputPath = null;
+	}
+
+	getViewType() {
+		return 'rmd-knit-output';
+	}
+
+	getDisplayText() {
+		return 'Knit输出';
+	}
+
+	getIcon() {
+		return 'terminal';
+	}
+
+	async onOpen() {
+		const container = this.containerEl.children[1];
+		container.empty();
+		container.addClass('rmd-knit-view');
+
+		const toolbar = container.createEl('div', { cls: 'rmd-knit-toolbar' });
+		this.statusEl = toolbar.createEl('span', { cls: 'rmd-knit-status', text: '没有编译任务' });
+		this.cancelBtn = toolbar.createEl('button', { text: '取消' });
+		this.openBtn = toolbar.createEl('button', { text: '打开输出文件' });
+		this.cancelBtn.disabled = true;
+		this.openBtn.disabled = true;
+
+		this.cancelBtn.addEventListener('click', () => this.plugin.cancelKnit());
+		this.openBtn.addEventListener('click', () => {
+			if (this.outputPath) this.plugin.openKnitOutput(this.outputPath);
+		});
+
+		this.logEl = container.createEl('pre', { cls: 'rmd-knit-log' });
+	}
+
+	// 开始新的任务时清空输出
+	startJob(file, command, args) {
+		this.outputPath = null;
+		this.logEl.empty();
+		this.statusEl.setText(`正在编译 ${file.path}...`);
+		this.statusEl.removeClass('is-error', 'is-success');
+		this.cancelBtn.disabled = false;
+		this.openBtn.disabled = true;
+		this.append(`$ ${command} ${args.map(arg => /\s/.test(arg) ? JSON.stringify(arg) : arg).join(' ')}\n`, 'command');
+	}
+
+	append(text, stream) {
+		const atBottom = this.logEl.scrollTop + this.logEl.clientHeight >= this.logEl.scrollHeight - 4;
+		this.logEl.createEl('span', { cls: `rmd-knit-${stream}`, text: text });
+		if (atBottom) this.logEl.scrollTop = this.logEl.scrollHeight;
+	}
+
+	finishJob(result) {
+		this.cancelBtn.disabled = true;
+		this.outputPath = result.outputPath;
+		this.openBtn.disabled = !result.outputPath;
+
+		let status;
+		if (result.error) {
+			status = result.error;
+		} else if (result.cancelled) {
+			status = '已取消';
+		} else if (result.code === 0) {
+			status = result.outputPath ? `完成: ${result.outputPath}` : '完成';
+		} else {
+			status = `失败（退出码 ${result.code === null ? result.signal : result.code}）`;
+		}
+		this.statusEl.setText(status);
+		this.statusEl.toggleClass('is-error', !!result.error || (!result.cancelled && result.code !== 0));
+		this.statusEl.toggleClass('is-success', !result.error && !result.cancelled && result.code === 0);
+		if (result.error) this.append(result.error + '\n', 'stderr');
+	}
+}
+
+// 快速切换的候选项：文件中的所有标题和有标签的代码块，附带所在章节的路径
+function buildSwitcherItems(path, metadata) {
+	const items = [];
+	const stack = [];
+	let chunkIndex = 0;
+
+	const addChunksBefore = (line) => {
+		while (chunkIndex < metadata.chunks.length && metadata.chunks[chunkIndex].line < line) {
+			const chunk = metadata.chunks[chunkIndex++];
+			if (!chunk.label) continue;
+			items.push({ type: 'chunk', text: chunk.label, engine: chunk.engine, path: path, line: chunk.line, breadcrumb: stack.map(h => h.heading) });
+		}
+	};
+
+	metadata.headings.forEach(heading => {
+		addChunksBefore(heading.line);
+		while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+		items.push({ type: 'heading', text: heading.heading, level: heading.level, path: path, line: heading.line, breadcrumb: stack.map(h => h.heading) });
+		stack.push(heading);
+	});
+	addChunksBefore(Infinity);
+
+	return items;
+}
+
+// 在所有Rmd文件的标题和代码块中模糊搜索，选中后打开文件并跳转到该行
+class RMDSwitcherModal extends SuggestModal {
+	constructor(app, plugin) {
+		super(app);
+		this.plugin = plugin;
+		this.limit = 100;
+		this.setPlaceholder('搜索所有Rmd文件中的标题和代码块...');
+
+		const index = plugin.rmdIndex;
+		this.items = [];
+		index.getIndexedPaths().forEach(path => {
+			this.items.push(...buildSwitcherItems(path, index.getFileMetadata(path)));
+		});
+	}
+
+	// 优先匹配标题或标签本身，其次匹配文件路径和章节路径
+	getSuggestions(query) {
+		if (!query.trim()) {
+			return this.items.slice(0, this.limit).map(item => ({ item, match: null }));
+		}
+
+		const fuzzy = prepareFuzzySearch(query.trim());
+		const results = [];
+		this.items.forEach(item => {
+			const match = fuzzy(item.text);
+			if (match) {
+				results.push({ item, match, score: match.score });
+				return;
+			}
+			const context = fuzzy(`${item.path} ${item.breadcrumb.join(' ')} ${item.text}`);
+			if (context) results.push({ item, match: null, score: context.score - 10 });
+		});
+
+		results.sort((a, b) => b.score - a.score);
+		return results.slice(0, this.limit);
+	}
+
+	renderSuggestion(result, el) {
+		const item = result.item;
+		el.addClass('rmd-switcher-item');
+
+		const title = el.createEl('div', { cls: 'rmd-switcher-title' });
+		const icon = title.createEl('span', { cls: 'rmd-switcher-icon' });
+		setIcon(icon, item.type === 'chunk' ? 'code' : 'heading');
+		const text = title.createEl('span');
+		if (result.match) {
+			renderMatches(text, item.text, result.match.matches);
+		} else {
+			text.setText(item.text);
+		}
+		if (item.type === 'chunk') {
+			title.createEl('span', { cls: 'rmd-outline-chunk-engine', text: item.engine });
+		}
+
+		el.createEl('div', {
+			cls: 'rmd-switcher-path',
+			text: [item.path].concat(item.breadcrumb).join(' › ')
+		});
+	}
+
+	async onChooseSuggestion(result) {
+		const item = result.item;
+		const file = this.app.vault.getAbstractFileByPath(item.path);
+		if (!(file instanceof TFile)) return;
+
+		const leaf = this.app.workspace.getLeaf(false);
+		await leaf.openFile(file, { eState: { line: item.line - 1 } });
+
+		const editor = leaf.view && leaf.view.editor;
+		if (editor) {
+			editor.setCursor(item.line - 1, 0);
+			editor.scrollIntoView({
+				from: { line: item.line - 1, ch: 0 },
+				to: { line: item.line - 1, ch: 0 }
+			}, true);
+		}
+	}
+}
+
+// 参数化报告的表单，支持 text、numeric/slider、checkbox、select/radio 和 date 输入
+class RMDParamsModal extends Modal {
+	constructor(app, params, onSubmit) {
+		super(app);
+		this.params = params;
+		this.onSubmit = onSubmit;
+		this.values = {};
+	}
+
+	onOpen() {
+		const { contentEl } = this;
+		contentEl.addClass('rmd-params-modal');
+		contentEl.createEl('h2', { text: '报告参数' });
+
+		this.params.forEach(param => this.addParamControl(contentEl, param));
+
+		new Setting(contentEl)
+			.addButton(button => button
+				.setButtonText('保存')
+				.setCta()
+				.onClick(async () => {
+					this.close();
+					await this.onSubmit(this.values);
+				}))
+			.addButton(button => button
+				.setButtonText('取消')
+				.onClick(() => this.close()));
+	}
+
+	onClose() {
+		const { contentEl } = this;
+		contentEl.empty();
+	}
+
+	addParamControl(containerEl, param) {
+		const spec = isExtendedParam(param.spec) ? param.spec : {};
+		const value = param.value;
+		const input = spec.input || this.inferInput(value);
+		const setting = new Setting(containerEl).setName(spec.label || param.name);
+		if (spec.label) setting.setDesc(param.name);
+
+		const set = (newValue) => {
+			this.values[param.name] = newValue;
+		};
+
+		if (input === 'checkbox') {
+			setting.addToggle(toggle => toggle
+				.setValue(!!value)
+				.onChange(set));
+		} else if ((input === 'select' || input === 'radio') && Array.isArray(spec.choices)) {
+			setting.addDropdown(dropdown => {
+				spec.choices.forEach((choice, i) => dropdown.addOption(String(i), formatYamlValue(choice)));
+				const current = spec.choices.findIndex(choice => formatYamlValue(choice) === formatYamlValue(value));
+				if (current !== -1) dropdown.setValue(String(current));
+				dropdown.onChange(index => set(spec.choices[Number(index)]));
+			});
+		} else if (input === 'numeric' || input === 'slider') {
+			setting.addText(text => {
+				text.inputEl.type = 'number';
+				['min', 'max', 'step'].forEach(key => {
+					if (spec[key] !== undefined) text.inputEl.setAttr(key, String(spec[key]));
+				});
+				text.setValue(value === null || value === undefined ? '' : String(value))
+					.onChange(newValue => {
+						if (newValue.trim() === '' || isNaN(Number(newValue))) {
+							delete this.values[param.name];
+						} else {
+							set(Number(newValue));
+						}
+					});
+			});
+		} else if (input === 'date') {
+			setting.addText(text => {
+				text.inputEl.type = 'date';
+				text.setValue(formatYamlValue(value)).onChange(set);
+			});
+		} else if (Array.isArray(value) || (value && typeof value === 'object' && !(value instanceof Date))) {
+			setting.setDesc('复杂的值请直接编辑YAML').addText(text => text
+				.setValue(formatYamlValue(value))
+				.setDisabled(true));
+		} else {
+			setting.addText(text => text
+				.setValue(value === null || value === undefined ? '' : formatYamlValue(value))
+				.onChange(set));
 		}
 	}
+
+	inferInput(value) {
+		if (typeof value === 'boolean') return 'checkbox';
+		if (typeof value === 'number') return 'numeric';
+		if (value instanceof Date || /^\d{4}-\d{2}-\d{2}$/.test(String(value))) return 'date';
+		return 'text';
+	}
 }
 
 class RMDMarkdownMapperSettingTab extends PluginSettingTab {
@@ -530,13 +4238,153 @@ class RMDMarkdownMapperSettingTab extends PluginSettingTab {
 		containerEl.createEl('h2', { text: 'RMD as Markdown 设置' });
 
 		new Setting(containerEl)
-			.setName('触发缓存更新')
-			.setDesc('主动触发Obsidian元数据缓存更新以支持大纲视图')
+			.setName('映射的扩展名')
+			.setDesc('以Markdown方式打开的文件扩展名，用逗号分隔，例如 rmd, Rmd, qmd, Rmarkdown。移除扩展名需要重新启动插件')
+			.addText(text => text
+				.setPlaceholder('rmd, Rmd, qmd')
+				.setValue(this.plugin.settings.extensions.join(', '))
+				.onChange(async (value) => {
+					const extensions = value.split(',')
+						.map(ext => ext.trim().replace(/^\./, ''))
+						.filter(ext => ext && ext.toLowerCase() !== 'md');
+					this.plugin.settings.extensions = extensions.filter((ext, i) => extensions.indexOf(ext) === i);
+					await this.plugin.saveSettings();
+				}))
+			.then(setting => {
+				// 失去焦点时再注册，避免输入过程中注册半个扩展名
+				setting.controlEl.querySelector('input').addEventListener('blur', () => {
+					this.plugin.registerMappedExtensions();
+				});
+			});
+
+		new Setting(containerEl)
+			.setName('同步链接到元数据缓存')
+			.setDesc('将Rmd文件中解析出的链接写入Obsidian的元数据缓存，使反向链接和关系图谱包含Rmd文件')
 			.addToggle(toggle => toggle
 				.setValue(this.plugin.settings.triggerCacheUpdate)
 				.onChange(async (value) => {
 					this.plugin.settings.triggerCacheUpdate = value;
 					await this.plugin.saveSettings();
+					if (value) {
+						this.plugin.rmdIndex.resolveAll();
+					} else {
+						this.plugin.rmdIndex.clearMetadataCache();
+					}
+				}));
+
+		new Setting(containerEl)
+			.setName('改名时更新链接')
+			.setDesc('笔记改名或移动后，更新Rmd文件中指向它的 [[链接]]、![[嵌入]] 和相对路径的 [](链接)，代码块中的内容不变')
+			.addToggle(toggle => toggle
+				.setValue(this.plugin.settings.updateLinksOnRename)
+				.onChange(async (value) => {
+					this.plugin.settings.updateLinksOnRename = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('R脚本文档级别')
+			.setDesc('导出R脚本 (purl) 时的 documentation 参数')
+			.addDropdown(dropdown => dropdown
+				.addOption('0', '0 - 只保留代码')
+				.addOption('1', '1 - 代码块标题行')
+				.addOption('2', "2 - 正文保留为 #' 注释")
+				.setValue(String(this.plugin.settings.purlDocumentation))
+				.onChange(async (value) => {
+					this.plugin.settings.purlDocumentation = Number(value);
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('导出Markdown时的行内表达式')
+			.setDesc('每行一条“表达式 = 值”，导出时 `r 表达式` 替换为该值；未列出的表达式显示为 ⟨表达式⟩')
+			.addTextArea(text => text
+				.setPlaceholder('nrow(data) = 150\nparams$region = 华东')
+				.setValue(Object.entries(this.plugin.settings.exportSubstitutions)
+					.map(([expression, value]) => `${expression} = ${value}`).join('\n'))
+				.onChange(async (value) => {
+					// 以最后一个“ = ”分隔，表达式本身可以包含 =
+					const substitutions = {};
+					value.split('\n').forEach(line => {
+						const separator = line.lastIndexOf(' = ');
+						if (separator === -1) return;
+						const expression = line.slice(0, separator).trim();
+						if (expression) substitutions[expression] = line.slice(separator + 3).trim();
+					});
+					this.plugin.settings.exportSubstitutions = substitutions;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('编译方式')
+			.setDesc('编译文档 (Knit) 时使用 rmarkdown::render 还是 quarto render（仅桌面端）')
+			.addDropdown(dropdown => dropdown
+				.addOption('rmarkdown', 'Rscript -e "rmarkdown::render()"')
+				.addOption('quarto', 'quarto render')
+				.setValue(this.plugin.settings.knitEngine)
+				.onChange(async (value) => {
+					this.plugin.settings.knitEngine = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('Rscript 路径')
+			.setDesc('Rscript 可执行文件；不在 PATH 中时填写完整路径')
+			.addText(text => text
+				.setPlaceholder('Rscript')
+				.setValue(this.plugin.settings.rscriptPath)
+				.onChange(async (value) => {
+					this.plugin.settings.rscriptPath = value.trim();
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('quarto 路径')
+			.setDesc('quarto 可执行文件；不在 PATH 中时填写完整路径')
+			.addText(text => text
+				.setPlaceholder('quarto')
+				.setValue(this.plugin.settings.quartoPath)
+				.onChange(async (value) => {
+					this.plugin.settings.quartoPath = value.trim();
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('章节编号')
+			.setDesc('按bookdown规则在大纲中显示章节编号，默认跟随YAML中的 number_sections')
+			.addDropdown(dropdown => dropdown
+				.addOption('auto', '跟随YAML')
+				.addOption('on', '始终显示')
+				.addOption('off', '不显示')
+				.setValue(this.plugin.settings.sectionNumbering)
+				.onChange(async (value) => {
+					this.plugin.settings.sectionNumbering = value;
+					await this.plugin.saveSettings();
+					this.app.workspace.getLeavesOfType('rmd-outline').forEach(leaf => leaf.view.refresh());
+				}));
+
+		new Setting(containerEl)
+			.setName('大纲跟随')
+			.setDesc('在大纲中高亮编辑器当前所在的章节')
+			.addDropdown(dropdown => dropdown
+				.addOption('cursor', '跟随光标')
+				.addOption('scroll', '跟随滚动位置')
+				.addOption('off', '不跟随')
+				.setValue(this.plugin.settings.outlineFollowMode)
+				.onChange(async (value) => {
+					this.plugin.settings.outlineFollowMode = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('大纲显示代码块')
+			.setDesc('在RMD大纲中把代码块显示为所在章节的子节点')
+			.addToggle(toggle => toggle
+				.setValue(this.plugin.settings.showChunksInOutline)
+				.onChange(async (value) => {
+					this.plugin.settings.showChunksInOutline = value;
+					await this.plugin.saveSettings();
+					this.app.workspace.getLeavesOfType('rmd-outline').forEach(leaf => leaf.view.refresh());
 				}));
 	}
 }
@@ -0,0 +1,68 @@
+// 用假编译程序（test/fake-knit.js）核对 KnitJob：输出转发、Output created 路径、找不到程序和取消
+// 用法：node test/check-knit.js
+
+const path = require('path');
+const { loadMain } = require('./load-main');
+
+const { KnitJob } = loadMain(['KnitJob']);
+const FAKE_KNIT = path.join(__dirname, 'fake-knit.js');
+
+// 运行一次编译任务，返回收到的输出和结束结果；onOutput 回调可在收到输出时操作任务
+function runJob(command, args, onOutput) {
+	return new Promise(resolve => {
+		const output = [];
+		const job = new KnitJob(command, args, __dirname, {
+			onOutput: (text, stream) => {
+				output.push({ text, stream });
+				if (onOutput) onOutput(job);
+			},
+			onExit: result => resolve({ output, result })
+		});
+		job.start();
+	});
+}
+
+const CHECKS = {
+	'转发 stdout 和 stderr，报告输出文件': async () => {
+		const { output, result } = await runJob(process.execPath, [FAKE_KNIT, 'report.Rmd']);
+		const text = stream => output.filter(o => o.stream === stream).map(o => o.text).join('');
+		return [
+			['stdout', text('stdout').includes('processing file: report.Rmd')],
+			['stderr', text('stderr').includes('Warning: fake warning')],
+			['退出码', result.code === 0 && !result.cancelled && result.error === null],
+			['输出路径', result.outputPath === path.join(__dirname, 'report.html')]
+		];
+	},
+	'找不到可执行文件': async () => {
+		const command = path.join(__dirname, 'no-such-Rscript');
+		const { result } = await runJob(command, []);
+		return [
+			['错误信息', typeof result.error === 'string' && result.error.includes('找不到可执行文件') && result.error.includes(command)],
+			['没有输出路径', result.outputPath === null]
+		];
+	},
+	'取消': async () => {
+		const { output, result } = await runJob(process.execPath, [FAKE_KNIT, 'report.Rmd', '--slow'], job => job.cancel());
+		return [
+			['已取消', result.cancelled === true],
+			['进程被终止', result.code !== 0],
+			['没有输出路径', result.outputPath === null && !output.some(o => o.text.includes('Output created'))]
+		];
+	}
+};
+
+async function main() {
+	let failures = 0;
+	for (const name of Object.keys(CHECKS)) {
+		const failed = (await CHECKS[name]()).filter(([, passed]) => !passed).map(([label]) => label);
+		if (failed.length === 0) {
+			console.log(`ok ${name}`);
+		} else {
+			failures++;
+			console.log(`FAIL ${name}: ${failed.join('、')}`);
+		}
+	}
+	if (failures > 0) process.exitCode = 1;
+}
+
+main();
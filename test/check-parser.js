@@ -0,0 +1,93 @@
+// 用 test/fixtures 中的Rmd文件核对 parseRmdStructure 和 scanRmdBlocks 的结果
+// 用法：node test/check-parser.js
+
+const fs = require('fs');
+const path = require('path');
+const { loadMain } = require('./load-main');
+
+function loadParser() {
+	const { RMDMarkdownMapperPlugin, scanRmdBlocks } = loadMain(['RMDMarkdownMapperPlugin', 'scanRmdBlocks']);
+	return {
+		parseRmdStructure: (content) => RMDMarkdownMapperPlugin.prototype.parseRmdStructure(content),
+		scanRmdBlocks: scanRmdBlocks
+	};
+}
+
+// 每个文件的预期结果，行号与解析器一致：
+// headings [级别, 文字, 行号（从1开始）]
+// chunks [标签, 头部行号, 结束行号, 是否闭合]
+// blocks [类型, 起始行, 结束行（从0开始，含）, 是否闭合]
+const EXPECTED = {
+	'tilde-fences.Rmd': {
+		headings: [[1, 'Tilde fences', 1], [2, 'After tilde fences', 16]],
+		chunks: [['tilde-chunk', 3, 6, true]],
+		blocks: [['fence', 2, 5, true], ['fence', 7, 13, true], ['fence', 17, 19, true]]
+	},
+	'long-backtick-fences.Rmd': {
+		headings: [[1, 'Long backtick fences', 1], [2, 'Between', 9], [2, 'End', 21]],
+		chunks: [['outer', 11, 15, true], ['after', 17, 19, true]],
+		blocks: [['fence', 2, 6, true], ['fence', 10, 14, true], ['fence', 16, 18, true]]
+	},
+	'list-fences.Rmd': {
+		headings: [[1, 'Indented fences in lists', 1], [2, 'After list', 14], [2, 'Last', 20]],
+		chunks: [['step-one', 5, 7, true]],
+		blocks: [['fence', 4, 6, true], ['fence', 9, 11, true]]
+	},
+	'html-comments.Rmd': {
+		headings: [[1, 'Comments', 1], [2, 'Visible', 16], [2, 'After unclosed comment', 20]],
+		chunks: [],
+		blocks: [['comment', 4, 9, true], ['comment', 12, 13, true]]
+	},
+	'math-blocks.Rmd': {
+		headings: [[1, 'Math', 1], [2, 'After math', 10]],
+		chunks: [['after-math', 18, 20, true]],
+		blocks: [['math', 2, 5, true], ['math', 11, 15, true], ['fence', 17, 19, true]]
+	},
+	'unclosed-fences.Rmd': {
+		headings: [[1, 'Unclosed fences', 1], [2, 'Middle', 10], [1, 'Heading after an unclosed fence', 13], [2, 'End', 15]],
+		chunks: [['first', 3, 5, false], ['second', 6, 8, true]],
+		blocks: [['fence', 2, 4, false], ['fence', 5, 7, true], ['fence', 11, 11, false]]
+	}
+};
+
+function main() {
+	const parser = loadParser();
+	const fixtureDir = path.join(__dirname, 'fixtures');
+	const files = fs.readdirSync(fixtureDir).filter(name => /\.rmd$/i.test(name)).sort();
+	let failures = 0;
+
+	files.forEach(name => {
+		const expected = EXPECTED[name];
+		if (!expected) {
+			console.log(`? ${name}: 没有预期结果`);
+			failures++;
+			return;
+		}
+
+		const content = fs.readFileSync(path.join(fixtureDir, name), 'utf8');
+		const structure = parser.parseRmdStructure(content);
+		const actual = {
+			headings: structure.headers.map(h => [h.level, h.text, h.line]),
+			chunks: structure.chunks.map(c => [c.label, c.line, c.endLine, c.closed]),
+			blocks: parser.scanRmdBlocks(content.split('\n')).map(b => [b.type, b.start, b.end, b.closed])
+		};
+
+		const mismatches = Object.keys(expected).filter(key =>
+			JSON.stringify(actual[key]) !== JSON.stringify(expected[key]));
+		if (mismatches.length === 0) {
+			console.log(`ok ${name}`);
+			return;
+		}
+
+		failures++;
+		console.log(`FAIL ${name}`);
+		mismatches.forEach(key => {
+			console.log(`  ${key} 预期: ${JSON.stringify(expected[key])}`);
+			console.log(`  ${key} 实际: ${JSON.stringify(actual[key])}`);
+		});
+	});
+
+	if (failures > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,68 @@
+// 用假解释器（test/fake-r.js）核对 RSession：排队执行、error 状态、进程中途退出时的待执行请求
+// 用法：node test/check-r-session.js
+
+const path = require('path');
+const { loadMain } = require('./load-main');
+
+const { RSession } = loadMain(['RSession']);
+const FAKE_R = path.join(__dirname, 'fake-r.js');
+
+function startSession(exitMessages) {
+	const session = new RSession(process.execPath, [FAKE_R], __dirname, {
+		onExit: message => exitMessages.push(message)
+	});
+	session.start();
+	return session;
+}
+
+const CHECKS = {
+	'按顺序执行排队的代码': async () => {
+		const session = startSession([]);
+		const results = await Promise.all([session.run('a\nb'), session.run('c'), session.run('d')]);
+		session.stop();
+		return [
+			['状态', results.every(r => r.status === 'ok')],
+			// 输出保留解释器写出的最后一个换行
+			['输出', results.map(r => r.output).join('|') === '[1] a\n[1] b\n|[1] c\n|[1] d\n']
+		];
+	},
+	'出错时返回 error 状态并继续执行后面的请求': async () => {
+		const session = startSession([]);
+		const results = await Promise.all([session.run('a\nstop boom\nb'), session.run('c')]);
+		session.stop();
+		return [
+			['error 状态', results[0].status === 'error' && results[0].output === '[1] a\nError: boom\n'],
+			['后面的请求', results[1].status === 'ok' && results[1].output === '[1] c\n']
+		];
+	},
+	'进程中途退出时结束所有待执行请求': async () => {
+		const exitMessages = [];
+		const session = startSession(exitMessages);
+		const results = await Promise.all([session.run('a'), session.run('b\nquit'), session.run('c'), session.run('d')]);
+		const after = await session.run('e');
+		const message = 'R会话已退出（退出码 3）';
+		return [
+			['退出前的请求', results[0].status === 'ok' && results[0].output === '[1] a\n'],
+			['正在执行的请求', results[1].status === 'exited' && results[1].output === `[1] b\n${message}`],
+			['排队的请求', results.slice(2).every(r => r.status === 'exited' && r.output === message)],
+			['退出后的请求', after.status === 'exited'],
+			['onExit', exitMessages.length === 1 && exitMessages[0] === message]
+		];
+	}
+};
+
+async function main() {
+	let failures = 0;
+	for (const name of Object.keys(CHECKS)) {
+		const failed = (await CHECKS[name]()).filter(([, passed]) => !passed).map(([label]) => label);
+		if (failed.length === 0) {
+			console.log(`ok ${name}`);
+		} else {
+			failures++;
+			console.log(`FAIL ${name}: ${failed.join('、')}`);
+		}
+	}
+	if (failures > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,12 @@
+// 代替 Rscript/quarto 的假编译程序：向 stdout 和 stderr 各输出一行，再报告输出文件
+// 用法：node test/fake-knit.js <文件> [--slow]，--slow 时在报告之前等待，供取消测试使用
+
+const file = process.argv[2];
+const slow = process.argv.includes('--slow');
+
+process.stdout.write(`processing file: ${file}\n`);
+process.stderr.write('Warning: fake warning\n');
+
+setTimeout(() => {
+	process.stdout.write('Output created: report.html\n');
+}, slow ? 30000 : 0);
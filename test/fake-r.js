@@ -0,0 +1,29 @@
+// 代替R的假解释器，遵守 R_SESSION_SCRIPT 的协议：
+// 读取代码行直到 ##RMD-END <id>##，执行后输出 ##RMD-DONE <id> ok|error##
+// 每行代码：stop <信息> 报错并跳过其余行，quit 立即退出进程（退出码 3），其他行原样输出为 [1] <行>
+
+const readline = require('readline');
+
+const input = readline.createInterface({ input: process.stdin });
+let lines = [];
+
+input.on('line', line => {
+	const end = line.match(/^##RMD-END (\S+)##$/);
+	if (!end) {
+		lines.push(line);
+		return;
+	}
+
+	let status = 'ok';
+	for (const code of lines) {
+		if (code === 'quit') process.exit(3);
+		if (code.startsWith('stop ')) {
+			process.stdout.write(`Error: ${code.slice(5)}\n`);
+			status = 'error';
+			break;
+		}
+		process.stdout.write(`[1] ${code}\n`);
+	}
+	lines = [];
+	process.stdout.write(`\n##RMD-DONE ${end[1]} ${status}##\n`);
+});
@@ -0,0 +1,30 @@
+// 在 vm 中运行 main.js，返回指定的顶层函数和类，供 test/ 下的检查脚本使用
+// obsidian 和 CodeMirror 模块用空的占位对象代替，其余模块（child_process 等）照常加载
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 占位模块：任意导出都是可以继承的空类，define 返回空对象
+function createStubModule() {
+	return new Proxy({}, {
+		get: () => {
+			const stub = class {};
+			stub.define = () => ({});
+			return stub;
+		}
+	});
+}
+
+function loadMain(names) {
+	const source = fs.readFileSync(path.join(__dirname, '..', 'main.js'), 'utf8');
+	const context = {
+		require: (name) => name === 'obsidian' || name.startsWith('@codemirror/') ? createStubModule() : require(name),
+		module: { exports: {} },
+		console: console
+	};
+	vm.createContext(context);
+	return vm.runInContext(`${source}\n;({ ${names.join(', ')} });`, context);
+}
+
+module.exports = { loadMain };